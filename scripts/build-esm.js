@@ -0,0 +1,58 @@
+/**
+ * Generates src/omni-convert.mjs from src/omni-convert.js.
+ *
+ * The ES module runs the same factory as the UMD build, without the UMD wrapper, so browsers
+ * can import it natively. The output is not committed: npm runs this on `npm install` and before
+ * packing (the prepare script), and `npm run build` regenerates it after editing src/omni-convert.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', 'src', 'omni-convert.js');
+const TARGET = path.join(__dirname, '..', 'src', 'omni-convert.mjs');
+
+// The UMD wrapper passes the factory as its second argument and closes with `});`
+const FACTORY_START = /^}\)\([^\n]*, function\(\) {\n/m;
+const FACTORY_END = /\n}\);\s*$/;
+
+function factoryBody(source) {
+    const start = FACTORY_START.exec(source);
+    const end = FACTORY_END.exec(source);
+    if (!start || !end || end.index < start.index) {
+        throw new Error(`Could not find the factory function in ${SOURCE}`);
+    }
+    return source.slice(start.index + start[0].length, end.index);
+}
+
+function build(source) {
+    // The CommonJS branch of the wrapper returns the factory's exports
+    delete require.cache[require.resolve(SOURCE)];
+    const names = Object.keys(require(SOURCE));
+
+    return `/**
+ * OmniConvert - ES module build
+ * @license MIT
+ *
+ * GENERATED from omni-convert.js by scripts/build-esm.js - do not edit.
+ *
+ * Usage:
+ *   import { OmniConvert } from './omni-convert.mjs';
+ */
+
+const OmniConvertLibrary = (function() {
+${factoryBody(source)}
+})();
+
+export const {
+${names.map(name => `    ${name}`).join(',\n')}
+} = OmniConvertLibrary;
+
+export default OmniConvert;
+`;
+}
+
+fs.writeFileSync(TARGET, build(fs.readFileSync(SOURCE, 'utf8')));
+console.log(`Wrote ${path.relative(process.cwd(), TARGET)}`);
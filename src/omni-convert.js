@@ -8,609 +8,7384 @@
  * <script>
  *   const converter = new OmniConvert();
  *   converter.jpgToPng(files);
+ *   const parser = new OmniConvertLib.CsvParser();
  * </script>
+ *
+ * CommonJS / bundlers:
+ *   const { OmniConvert } = require('./omni-convert.js');
+ *
+ * ES modules (src/omni-convert.mjs, generated from this file by npm run build):
+ *   import { OmniConvert } from './omni-convert.mjs';
  */
 
-(function() {
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        // CommonJS (Node, bundlers)
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define([], factory);
+    } else {
+        // Browser globals: every export under the OmniConvertLib namespace, and as a global of its own
+        // as before the namespace existed (e.g. window.BaseConverter for subclassing)
+        const lib = factory();
+        root.OmniConvertLib = lib;
+        Object.keys(lib).forEach(name => {
+            root[name] = lib[name];
+        });
+
+        // Global instance for quick usage, created on first access
+        let instance = null;
+        Object.defineProperty(root, 'omniConvert', {
+            configurable: true,
+            enumerable: true,
+            get() {
+                if (!instance) {
+                    instance = new lib.OmniConvert({ setupDragDrop: true });
+                }
+                return instance;
+            },
+            set(value) {
+                instance = value;
+            }
+        });
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this), function() {
     'use strict';
 
     /**
-     * Base OmniConvert Core class
+     * ERRORS
      */
-    class OmniConvertCore {
-        constructor(options = {}) {
-            this.options = {
-                enableLogging: options.enableLogging || false,
-                autoDownload: options.autoDownload !== false,
-                progressCallback: options.progressCallback || null,
-                errorCallback: options.errorCallback || null,
-                successCallback: options.successCallback || null,
-                ...options
-            };
-            
-            this.converters = new Map();
-            this.isInitialized = false;
-            
-            this.log('OmniConvert Core initialized');
+
+    // Base class for every error thrown by the library; `code` is stable and machine-readable
+    class OmniConvertError extends Error {
+        constructor(message, { code = 'CONVERSION_FAILED', file = null, cause = undefined, ...details } = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = code;
+            this.file = file;
+            if (cause !== undefined) this.cause = cause;
+            Object.assign(this, details);
         }
 
-        log(message, data = null) {
-            if (this.options.enableLogging) {
-                console.log(`[OmniConvert] ${message}`, data || '');
+        toJSON() {
+            const { name, code, message } = this;
+            const json = { name, code, message, file: this.file ? this.file.name : null };
+            for (const key of Object.keys(this)) {
+                if (!['name', 'code', 'file', 'cause'].includes(key)) json[key] = this[key];
             }
+            if (this.cause) json.cause = this.cause.message || String(this.cause);
+            return json;
         }
+    }
 
-        error(message, error = null) {
-            const errorMsg = `[OmniConvert Error] ${message}`;
-            console.error(errorMsg, error || '');
-            
-            if (this.options.errorCallback) {
-                this.options.errorCallback(message, error);
-            }
+    // Input is not a format the converter (or any route) accepts
+    class UnsupportedInputError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'UNSUPPORTED_INPUT', ...details });
         }
+    }
 
-        success(message, data = null) {
-            this.log(`Success: ${message}`, data);
-            
-            if (this.options.successCallback) {
-                this.options.successCallback(message, data);
+    // Input of the right type that could not be decoded (corrupt image, SVG or video)
+    class DecodeError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'DECODE_FAILED', ...details });
+        }
+    }
+
+    // An optional library such as heic2any or PDF-lib is not loaded
+    class MissingDependencyError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'MISSING_DEPENDENCY', ...details });
+        }
+    }
+
+    // The browser cannot encode the requested output type
+    class EncoderUnsupportedError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'ENCODER_UNSUPPORTED', ...details });
+        }
+    }
+
+    // Malformed CSV, JSON or XML; carries line and column when known
+    class ParseError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'PARSE_ERROR', line: null, column: null, ...details });
+        }
+    }
+
+    // A size or count limit was exceeded
+    class LimitExceededError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'LIMIT_EXCEEDED', ...details });
+        }
+    }
+
+    // An option does not match the converter's options schema
+    class InvalidOptionError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'INVALID_OPTION', ...details });
+        }
+    }
+
+    // No converter is registered under the requested name
+    class ConverterNotFoundError extends OmniConvertError {
+        constructor(message, details = {}) {
+            super(message, { code: 'CONVERTER_NOT_FOUND', ...details });
+        }
+    }
+
+    // Wrap any error into an OmniConvertError attached to a file; abort errors pass through
+    function toOmniConvertError(error, file = null) {
+        if (isAbortError(error)) return error;
+        if (error instanceof OmniConvertError) {
+            if (!error.file && file) error.file = file;
+            return error;
+        }
+        return new OmniConvertError(error && error.message ? error.message : String(error), { file, cause: error });
+    }
+
+    // 1-based line and column of a character offset
+    function lineColumnAt(text, offset) {
+        const before = text.slice(0, Math.max(0, offset));
+        const lines = before.split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    // Find the offset where a JSON document stops being valid (error messages differ between engines)
+    function locateJsonError(text) {
+        let i = 0;
+        const fail = () => { throw i; };
+        const space = () => { while (/[ \t\r\n]/.test(text[i] || '')) i++; };
+        const literal = (word) => { if (text.startsWith(word, i)) i += word.length; else fail(); };
+
+        const string = () => {
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\') {
+                    i++;
+                    if (text[i] === 'u') {
+                        if (!/^[0-9a-fA-F]{4}$/.test(text.substr(i + 1, 4))) fail();
+                        i += 4;
+                    } else if (!'"\\/bfnrt'.includes(text[i] || 'x')) {
+                        fail();
+                    }
+                } else if (text.charCodeAt(i) < 0x20) {
+                    fail();
+                }
+                i++;
             }
+            if (text[i] !== '"') fail();
+            i++;
+        };
+
+        const value = () => {
+            space();
+            const char = text[i];
+            if (char === '{') {
+                i++;
+                space();
+                if (text[i] === '}') { i++; return; }
+                for (;;) {
+                    space();
+                    if (text[i] !== '"') fail();
+                    string();
+                    space();
+                    if (text[i] !== ':') fail();
+                    i++;
+                    value();
+                    space();
+                    if (text[i] === ',') { i++; continue; }
+                    if (text[i] === '}') { i++; return; }
+                    fail();
+                }
+            } else if (char === '[') {
+                i++;
+                space();
+                if (text[i] === ']') { i++; return; }
+                for (;;) {
+                    value();
+                    space();
+                    if (text[i] === ',') { i++; continue; }
+                    if (text[i] === ']') { i++; return; }
+                    fail();
+                }
+            } else if (char === '"') {
+                string();
+            } else if (char === 't') {
+                literal('true');
+            } else if (char === 'f') {
+                literal('false');
+            } else if (char === 'n') {
+                literal('null');
+            } else {
+                const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+                if (!match) fail();
+                i += match[0].length;
+            }
+        };
+
+        try {
+            value();
+            space();
+            return i < text.length ? i : -1;
+        } catch (offset) {
+            return offset;
         }
+    }
 
-        progress(percentage, message = '') {
-            if (this.options.progressCallback) {
-                this.options.progressCallback(percentage, message);
+    // JSON.parse that throws a ParseError with line and column
+    function parseJSON(text, file = null) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const offset = locateJsonError(text);
+            const position = offset >= 0 ? lineColumnAt(text, offset) : { line: null, column: null };
+            const where = position.line ? ` (line ${position.line}, column ${position.column})` : '';
+            throw new ParseError(`Invalid JSON file: ${error.message}${where}`, {
+                file, cause: error, format: 'json', ...position
+            });
+        }
+    }
+
+    /**
+     * Known formats: canonical name -> MIME types and file extensions
+     */
+    const FORMATS = {
+        jpg: { mimeTypes: ['image/jpeg', 'image/jpg'], extensions: ['jpg', 'jpeg'] },
+        png: { mimeTypes: ['image/png'], extensions: ['png'] },
+        webp: { mimeTypes: ['image/webp'], extensions: ['webp'] },
+        heic: { mimeTypes: ['image/heic', 'image/heif'], extensions: ['heic', 'heif'] },
+        svg: { mimeTypes: ['image/svg+xml'], extensions: ['svg'] },
+        ico: { mimeTypes: ['image/x-icon', 'image/vnd.microsoft.icon'], extensions: ['ico'] },
+        gif: { mimeTypes: ['image/gif'], extensions: ['gif'] },
+        avif: { mimeTypes: ['image/avif'], extensions: ['avif'] },
+        bmp: { mimeTypes: ['image/bmp', 'image/x-ms-bmp'], extensions: ['bmp'] },
+        tiff: { mimeTypes: ['image/tiff'], extensions: ['tiff', 'tif'] },
+        mp4: { mimeTypes: ['video/mp4'], extensions: ['mp4', 'm4v'] },
+        webm: { mimeTypes: ['video/webm'], extensions: ['webm'] },
+        mov: { mimeTypes: ['video/quicktime'], extensions: ['mov', 'qt'] },
+        zip: { mimeTypes: ['application/zip'], extensions: ['zip'] },
+        pdf: { mimeTypes: ['application/pdf'], extensions: ['pdf'] },
+        csv: { mimeTypes: ['text/csv', 'application/csv'], extensions: ['csv'] },
+        json: { mimeTypes: ['application/json'], extensions: ['json'] },
+        ndjson: { mimeTypes: ['application/x-ndjson'], extensions: ['ndjson', 'jsonl'] },
+        xml: { mimeTypes: ['text/xml', 'application/xml'], extensions: ['xml'] },
+        md: { mimeTypes: ['text/markdown', 'text/x-markdown'], extensions: ['md', 'markdown'] },
+        html: { mimeTypes: ['text/html'], extensions: ['html', 'htm'] },
+        css: { mimeTypes: ['text/css'], extensions: ['css'] }
+    };
+
+    // Resolve a MIME type, extension ('.jpg' or 'jpeg') or format name to its canonical format
+    function normalizeFormat(value) {
+        if (!value) return null;
+        const key = String(value).toLowerCase().replace(/^\./, '');
+
+        for (const [format, info] of Object.entries(FORMATS)) {
+            if (format === key || info.mimeTypes.includes(key) || info.extensions.includes(key)) {
+                return format;
             }
         }
+        return key.includes('/') ? null : key;
+    }
 
-        // Register a converter
-        registerConverter(name, converterClass) {
-            this.converters.set(name, converterClass);
-            this.log(`Registered converter: ${name}`);
+    // Formats that are plain text and can only be told apart by heuristics
+    const TEXT_FORMATS = ['svg', 'csv', 'json', 'xml', 'md', 'html'];
+
+    // ftyp brands of the ISO base media file format that mean HEIC/HEIF and AVIF
+    const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+    const AVIF_BRANDS = ['avif', 'avis'];
+
+    function bytesToAscii(bytes, start, length) {
+        let text = '';
+        for (let i = start; i < start + length && i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
         }
+        return text;
+    }
 
-        // Get available converters
-        getAvailableConverters() {
-            return Array.from(this.converters.keys());
+    // Recognize binary formats by their signature
+    function detectBinaryFormat(bytes) {
+        const ascii = (start, length) => bytesToAscii(bytes, start, length);
+        const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+
+        if (startsWith(0xFF, 0xD8, 0xFF)) return 'jpg';
+        if (startsWith(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)) return 'png';
+        if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'webp';
+        if (ascii(0, 5) === '%PDF-') return 'pdf';
+        // ICO: reserved 0, type 1, at least one image
+        if (startsWith(0x00, 0x00, 0x01, 0x00) && bytes.length >= 22 && (bytes[4] | bytes[5]) !== 0 && bytes[9] === 0) return 'ico';
+        if (startsWith(0x49, 0x49, 0x2A, 0x00) || startsWith(0x4D, 0x4D, 0x00, 0x2A)) return 'tiff';
+        if (startsWith(0x50, 0x4B, 0x03, 0x04) || startsWith(0x50, 0x4B, 0x05, 0x06)) return 'zip';
+
+        if (ascii(4, 4) === 'ftyp') {
+            // Major brand followed by the compatible brands list
+            const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+            const brands = [ascii(8, 4)];
+            for (let offset = 16; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+                brands.push(ascii(offset, 4));
+            }
+            if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'avif';
+            if (brands.some(brand => HEIF_BRANDS.includes(brand))) return 'heic';
+            return brands[0] === 'qt  ' ? 'mov' : 'mp4';
         }
 
-        // Create converter instance
-        createConverter(type, options = {}) {
-            const ConverterClass = this.converters.get(type);
-            if (!ConverterClass) {
-                throw new Error(`Converter '${type}' not found. Available: ${this.getAvailableConverters().join(', ')}`);
+        // Matroska/WebM: EBML header
+        if (startsWith(0x1A, 0x45, 0xDF, 0xA3)) return 'webm';
+
+        // BMP: 'BM' plus a known DIB header size
+        if (ascii(0, 2) === 'BM' && bytes.length >= 18) {
+            const dibSize = bytes[14] | (bytes[15] << 8) | (bytes[16] << 16) | (bytes[17] << 24);
+            if ([12, 40, 52, 56, 64, 108, 124].includes(dibSize)) return 'bmp';
+        }
+
+        return null;
+    }
+
+    // Guess a text format from the first characters of a file
+    function detectTextFormat(text, truncated = false) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (!trimmed) return null;
+
+        // Skip the XML declaration, comments and doctype before the root element
+        const markup = trimmed.replace(/^(\s*(<\?xml[^>]*\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>))*\s*/i, '');
+        if (/^<svg[\s>]/i.test(markup)) return 'svg';
+        if (/^<!DOCTYPE\s+html/i.test(trimmed) || /^<(html|head|body)[\s>]/i.test(markup)) return 'html';
+        if (/^<\?xml/i.test(trimmed) || /^<[A-Za-z_][\w:.-]*[\s\/>]/.test(markup)) return 'xml';
+
+        if (/^[\[{]/.test(trimmed)) {
+            // Accept a valid document, or a truncated one that still looks like JSON
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (error) {
+                if (/^(\{\s*("|\})|\[\s*([\[{"\]\-\d]|true|false|null))/.test(trimmed)) return 'json';
             }
-            
-            const mergedOptions = { ...this.options, ...options };
-            return new ConverterClass(mergedOptions);
         }
 
-        // Utility methods
-        static generateFilename(originalName, newExtension) {
-            const baseName = originalName.substring(0, originalName.lastIndexOf('.')) || originalName;
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            return `${baseName}-converted-${timestamp}.${newExtension}`;
+        // A truncated sample may end mid-line
+        const lines = trimmed.split(/\r?\n/);
+        if (truncated && lines.length > 1) lines.pop();
+
+        if (lines.slice(0, 50).some(line => /^(#{1,6}\s|```|>\s|[-*+]\s\[[ xX]\]\s)/.test(line)) ||
+            /\[[^\]]+\]\([^)]+\)/.test(trimmed)) {
+            return 'md';
         }
 
-        static formatFileSize(bytes) {
-            if (bytes === 0) return '0 Bytes';
-            const k = 1024;
-            const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-            const i = Math.floor(Math.log(bytes) / Math.log(k));
-            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        // CSV: every sampled line holds the same, non-zero number of delimiters
+        const sample = lines.slice(0, 20);
+        for (const delimiter of [',', ';', '\t', '|']) {
+            const counts = sample.map(line => line.split(delimiter).length - 1);
+            if (sample.length > 1 && counts[0] > 0 && counts.every(count => count === counts[0])) return 'csv';
         }
 
-        static validateFileType(file, allowedTypes) {
-            if (!file || !file.name || !allowedTypes) {
-                return false;
+        return null;
+    }
+
+    /**
+     * Whether the content clearly is the guessed format rather than a declared CSV or Markdown file:
+     * JSON that parses (or a truncated sample that opens an object), an XML prolog, or for CSV any
+     * markup root. Markdown may start with inline HTML, so a root element alone does not count there.
+     */
+    function overridesDeclaredText(declared, guessed, text, truncated = false) {
+        if (!['csv', 'md'].includes(declared) || !guessed || guessed === declared) return false;
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+        if (guessed === 'json') {
+            try {
+                JSON.parse(trimmed);
+                return true;
+            } catch (error) {
+                return truncated && /^(\{\s*"|\[\s*\{\s*")/.test(trimmed);
             }
-            
-            return allowedTypes.some(type => {
-                if (!type) return false;
-                
-                if (type.includes('/')) {
-                    // For JSON files, be more lenient with MIME types
-                    if (type === 'application/json') {
-                        return file.type === type || 
-                               file.type === 'text/plain' || 
-                               file.type === '' || 
-                               file.name.toLowerCase().endsWith('.json');
-                    }
-                    return file.type === type;
-                } else {
-                    return file.name.toLowerCase().endsWith(type.toLowerCase());
+        }
+        if (/^<\?xml/i.test(trimmed)) return true;
+        return declared === 'csv' && ['svg', 'html', 'xml'].includes(guessed);
+    }
+
+    // Build the error a cancelled conversion rejects with
+    function createAbortError(signal) {
+        if (signal && signal.reason instanceof Error) return signal.reason;
+        if (typeof DOMException !== 'undefined') {
+            return new DOMException('Conversion cancelled', 'AbortError');
+        }
+        const error = new Error('Conversion cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    function now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    // How results are delivered (see OmniConvertCore.formatResult); every converter accepts it
+    const RESULT_FORMATS = ['blob', 'dataURL', 'base64', 'arrayBuffer', 'text'];
+
+    const RESULT_FORMAT_OPTIONS = {
+        resultFormat: { type: 'string', default: 'blob', enum: RESULT_FORMATS, description: 'Also deliver the result as a data URL, base64 string, ArrayBuffer or text' }
+    };
+
+    // Colour and filter adjustments (see normalizeAdjustments), part of the transform options
+    const IMAGE_ADJUSTMENT_OPTIONS = {
+        adjustments: { type: 'object', default: null, description: 'Colour and filter adjustments, e.g. { grayscale: true, brightness: 1.1, sharpen: 0.5 }' }
+    };
+
+    // Text or logo watermark (see normalizeWatermark), drawn over the finished image
+    const WATERMARK_OPTIONS = {
+        watermark: { type: 'object', default: null, description: "Text or image watermark, e.g. { text: '© Studio', position: 'bottom-right' } or { image: logo, tile: true }" }
+    };
+
+    /**
+     * Image transform options shared by the canvas converters
+     */
+    const IMAGE_TRANSFORM_OPTIONS = {
+        width: { type: 'number', default: null, min: 1, description: 'Result width in pixels' },
+        height: { type: 'number', default: null, min: 1, description: 'Result height in pixels' },
+        fit: { type: 'string', default: 'contain', enum: ['contain', 'cover', 'fill', 'inside'], description: 'How the image fills width × height' },
+        maxWidth: { type: 'number', default: null, min: 1, description: 'Shrink to at most this width' },
+        maxHeight: { type: 'number', default: null, min: 1, description: 'Shrink to at most this height' },
+        crop: { type: 'object', default: null, description: 'Source rectangle { x, y, width, height } in pixels' },
+        rotate: { type: 'number', default: 0, enum: [0, 90, 180, 270], description: 'Clockwise rotation in degrees' },
+        flipHorizontal: { type: 'boolean', default: false, description: 'Mirror left to right' },
+        flipVertical: { type: 'boolean', default: false, description: 'Mirror top to bottom' },
+        ...IMAGE_ADJUSTMENT_OPTIONS,
+        ...WATERMARK_OPTIONS
+    };
+
+    // Metadata handling for converters that take JPEG input
+    const IMAGE_METADATA_OPTIONS = {
+        metadata: { type: 'string', default: 'strip', enum: ['strip', 'keep', 'keep-safe'], description: 'EXIF/ICC metadata: strip, keep or keep without GPS and serials' }
+    };
+
+    // Target file size for lossy encoders (see BaseConverter.encodeToSize)
+    const TARGET_SIZE_OPTIONS = {
+        maxBytes: { type: 'number', default: null, min: 1, description: 'Largest allowed result size in bytes' },
+        minQuality: { type: 'number', default: 0.4, min: 0.01, max: 1, description: 'Lowest quality tried for maxBytes' },
+        allowDownscale: { type: 'boolean', default: false, description: 'Shrink dimensions when minQuality is not small enough' }
+    };
+
+    // External resources referenced by an SVG (see BaseConverter.prepareSvg)
+    const SVG_RESOURCE_OPTIONS = {
+        inlineResources: { type: 'boolean', default: true, description: 'Embed external images, fonts and <use> sprites as data URIs' },
+        baseUrl: { type: 'string', default: null, description: 'Base URL for relative references (default: the page URL)' }
+    };
+
+    // Document information for PDF output
+    const PDF_INFO_OPTIONS = {
+        title: { type: 'string', default: null, description: 'PDF document title' },
+        author: { type: 'string', default: null, description: 'PDF document author' },
+        subject: { type: 'string', default: null, description: 'PDF document subject' },
+        creator: { type: 'string', default: null, description: 'Application that created the document' }
+    };
+
+    // Indexed PNG output through the built-in encoder (see encodePng)
+    const PNG_PALETTE_OPTIONS = {
+        colors: { type: 'number', default: null, min: 2, max: 256, description: 'Quantize PNG output to at most this many colors' },
+        dither: { type: 'boolean', default: false, description: 'Floyd–Steinberg dithering when quantizing' }
+    };
+
+    // Options that change the image or how it is delivered; chained conversions apply them on the last step only
+    const FINAL_STEP_OPTIONS = [
+        ...Object.keys(IMAGE_TRANSFORM_OPTIONS),
+        ...Object.keys(TARGET_SIZE_OPTIONS),
+        ...Object.keys(PNG_PALETTE_OPTIONS),
+        'quality',
+        'resultFormat'
+    ];
+
+    /**
+     * Options for an intermediate step of a chained conversion: the image passes through untransformed
+     * and at full quality. Set to undefined rather than deleted so they also mask the instance defaults.
+     */
+    function intermediateStepOptions(options) {
+        const stepOptions = { ...options };
+        for (const name of FINAL_STEP_OPTIONS) stepOptions[name] = undefined;
+        stepOptions.quality = 1;
+        return stepOptions;
+    }
+
+    /**
+     * Work out the output layout for a transform: crop -> rotate/flip -> resize -> max caps -> adjustments.
+     * fit: 'contain' letterboxes into width × height, 'cover' fills and crops the overflow,
+     * 'fill' stretches, 'inside' scales down to fit without padding.
+     * Self-contained so it can be embedded in the worker source.
+     */
+    function planTransform(sourceWidth, sourceHeight, transform = {}) {
+        const { crop, fit = 'contain', maxWidth, maxHeight, flipHorizontal = false, flipVertical = false } = transform;
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+        const sx = crop ? clamp(Math.round(crop.x || 0), 0, sourceWidth - 1) : 0;
+        const sy = crop ? clamp(Math.round(crop.y || 0), 0, sourceHeight - 1) : 0;
+        const sw = crop ? clamp(Math.round(crop.width || sourceWidth - sx), 1, sourceWidth - sx) : sourceWidth;
+        const sh = crop ? clamp(Math.round(crop.height || sourceHeight - sy), 1, sourceHeight - sy) : sourceHeight;
+
+        const rotate = ((Math.round((transform.rotate || 0) / 90) * 90) % 360 + 360) % 360;
+        const orientedWidth = rotate % 180 ? sh : sw;
+        const orientedHeight = rotate % 180 ? sw : sh;
+
+        let width = transform.width || null;
+        let height = transform.height || null;
+        let drawWidth;
+        let drawHeight;
+
+        if (width && height && fit !== 'fill') {
+            const scales = [width / orientedWidth, height / orientedHeight];
+            const scale = fit === 'cover' ? Math.max(...scales) : Math.min(...scales, fit === 'inside' ? 1 : Infinity);
+            drawWidth = orientedWidth * scale;
+            drawHeight = orientedHeight * scale;
+            if (fit === 'inside') {
+                width = drawWidth;
+                height = drawHeight;
+            }
+        } else {
+            if (width && !height) height = orientedHeight * width / orientedWidth;
+            if (height && !width) width = orientedWidth * height / orientedHeight;
+            width = width || orientedWidth;
+            height = height || orientedHeight;
+        }
+
+        // Max caps only shrink, scaling the whole layout
+        const cap = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+        const outputWidth = Math.max(1, Math.round(width * cap));
+        const outputHeight = Math.max(1, Math.round(height * cap));
+        drawWidth = drawWidth ? drawWidth * cap : outputWidth;
+        drawHeight = drawHeight ? drawHeight * cap : outputHeight;
+
+        return {
+            width: outputWidth,
+            height: outputHeight,
+            x: (outputWidth - drawWidth) / 2,
+            y: (outputHeight - drawHeight) / 2,
+            drawWidth,
+            drawHeight,
+            crop: { x: sx, y: sy, width: sw, height: sh },
+            rotate,
+            flipHorizontal: !!flipHorizontal,
+            flipVertical: !!flipVertical,
+            adjustments: transform.adjustments || null
+        };
+    }
+
+    /**
+     * Draw an image source onto a new canvas following a planTransform() layout.
+     * Large reductions are done in halving steps, which avoids the aliasing of a single drawImage.
+     * Self-contained so it can be embedded in the worker source.
+     */
+    function drawTransformed(source, plan, createCanvas, backgroundColor = null) {
+        const turned = plan.rotate % 180 !== 0;
+        const targetWidth = turned ? plan.drawHeight : plan.drawWidth;
+        const targetHeight = turned ? plan.drawWidth : plan.drawHeight;
+        let image = source;
+        let { x: sx, y: sy, width: sw, height: sh } = plan.crop;
+
+        for (;;) {
+            const stepWidth = sw / 2 >= targetWidth ? Math.ceil(sw / 2) : sw;
+            const stepHeight = sh / 2 >= targetHeight ? Math.ceil(sh / 2) : sh;
+            if (stepWidth === sw && stepHeight === sh) break;
+
+            const step = createCanvas(stepWidth, stepHeight);
+            const stepCtx = step.getContext('2d');
+            stepCtx.imageSmoothingQuality = 'high';
+            stepCtx.drawImage(image, sx, sy, sw, sh, 0, 0, stepWidth, stepHeight);
+            image = step;
+            sx = sy = 0;
+            sw = stepWidth;
+            sh = stepHeight;
+        }
+
+        const canvas = createCanvas(plan.width, plan.height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+
+        if (backgroundColor) {
+            ctx.fillStyle = backgroundColor;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.translate(plan.x + plan.drawWidth / 2, plan.y + plan.drawHeight / 2);
+        ctx.scale(plan.flipHorizontal ? -1 : 1, plan.flipVertical ? -1 : 1);
+        ctx.rotate(plan.rotate * Math.PI / 180);
+        ctx.drawImage(image, sx, sy, sw, sh, -targetWidth / 2, -targetHeight / 2, targetWidth, targetHeight);
+        return plan.adjustments ? applyAdjustments(canvas, plan.adjustments, createCanvas) : canvas;
+    }
+
+    // Transform that turns pixels stored with an EXIF orientation (1-8) upright
+    function orientationTransform(orientation) {
+        return [null, {}, { flipHorizontal: true }, { rotate: 180 }, { flipVertical: true },
+            { rotate: 90, flipHorizontal: true }, { rotate: 90 }, { rotate: 270, flipHorizontal: true }, { rotate: 270 }][orientation] || {};
+    }
+
+    // 2×1 JPEG tagged with orientation 6: a decoder that applies EXIF orientation reports it as 1×2
+    const ORIENTATION_TEST_JPEG = '/9j/4QAiRXhpZgAASUkqAAgAAAABABIBAwABAAAABgAAAAAAAAD/2wBDAFA3PEY8MlBGQUZaVVBfeMiCeG5uePWvuZHI////////////////////////////////////////////////////2wBDAVVaWnhpeOuCguv/////////////////////////////////////////////////////////////////////////wAARCAABAAIDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAT/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFAEBAAAAAAAAAAAAAAAAAAAAAP/EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhEDEQA/AIgAf//Z';
+
+    let orientationCheck = null;
+
+    // Whether the browser already applies EXIF orientation when decoding (all current browsers do)
+    function decoderAppliesOrientation() {
+        if (!orientationCheck) {
+            orientationCheck = new Promise(resolve => {
+                if (typeof Image === 'undefined') {
+                    resolve(true);
+                    return;
                 }
+                const img = new Image();
+                img.onload = () => resolve(img.width === 1);
+                img.onerror = () => resolve(true);
+                img.src = `data:image/jpeg;base64,${ORIENTATION_TEST_JPEG}`;
             });
         }
+        return orientationCheck;
+    }
 
-        static downloadFile(data, filename, mimeType = 'application/octet-stream') {
-            const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+    // Image adjustments in the order they are applied; the first six match CSS filter functions
+    const ADJUSTMENTS = ['brightness', 'contrast', 'saturation', 'grayscale', 'sepia', 'invert', 'gamma', 'blur', 'sharpen', 'threshold'];
+
+    /**
+     * Validate options.adjustments and turn it into an ordered list of steps, or null when nothing changes.
+     * brightness/contrast/saturation are factors (1 = unchanged), grayscale/sepia/invert amounts 0–1 (true = 1),
+     * gamma > 0 (above 1 brightens midtones), blur a Gaussian standard deviation in pixels or
+     * { radius, type: 'gaussian' | 'box' }, sharpen an unsharp-mask amount or { amount, radius, threshold },
+     * threshold a 0–255 luminance cut-off (true = 128).
+     */
+    function normalizeAdjustments(adjustments) {
+        if (!adjustments) return null;
+
+        const invalid = (name, expected) => new InvalidOptionError(`Adjustment '${name}' must be ${expected}`, { option: 'adjustments', value: adjustments });
+        const number = (name, value, min, max, expected) => {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) throw invalid(name, expected);
+            return value;
+        };
+
+        for (const name of Object.keys(adjustments)) {
+            if (!ADJUSTMENTS.includes(name)) {
+                throw new InvalidOptionError(`Unknown adjustment '${name}', expected one of: ${ADJUSTMENTS.join(', ')}`, { option: 'adjustments', value: adjustments });
+            }
         }
 
-        static async delay(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
+        const steps = [];
+        for (const op of ADJUSTMENTS) {
+            let value = adjustments[op];
+            if (value === undefined || value === null || value === false) continue;
+
+            if (op === 'brightness' || op === 'contrast' || op === 'saturation') {
+                const amount = number(op, value, 0, Infinity, 'a factor of 0 or more');
+                if (amount !== 1) steps.push({ op, amount });
+            } else if (op === 'grayscale' || op === 'sepia' || op === 'invert') {
+                const amount = value === true ? 1 : number(op, value, 0, 1, 'true or an amount between 0 and 1');
+                if (amount > 0) steps.push({ op, amount });
+            } else if (op === 'gamma') {
+                const amount = number(op, value, 0.01, 100, 'a number between 0.01 and 100');
+                if (amount !== 1) steps.push({ op, amount });
+            } else if (op === 'blur') {
+                if (typeof value === 'number') value = { radius: value };
+                const type = value.type || 'gaussian';
+                if (type !== 'gaussian' && type !== 'box') throw invalid(op, "of type 'gaussian' or 'box'");
+                const radius = number(op, value.radius, 0, 250, 'a radius between 0 and 250 pixels');
+                if (radius > 0) steps.push({ op, type, radius });
+            } else if (op === 'sharpen') {
+                if (typeof value === 'number' || value === true) value = { amount: value === true ? 1 : value };
+                const amount = number(op, value.amount === undefined ? 1 : value.amount, 0, 10, 'an amount between 0 and 10');
+                const radius = number(op, value.radius === undefined ? 1 : value.radius, 0.1, 50, 'a radius between 0.1 and 50 pixels');
+                const threshold = number(op, value.threshold || 0, 0, 255, 'a threshold between 0 and 255');
+                if (amount > 0) steps.push({ op, amount, radius, threshold });
+            } else if (op === 'threshold') {
+                steps.push({ op, level: value === true ? 128 : number(op, value, 0, 255, 'true or a level between 0 and 255') });
+            }
         }
+        return steps.length > 0 ? steps : null;
+    }
 
-        // Batch conversion utility
-        async convertMultiple(type, files, options = {}) {
-            const converter = this.createConverter(type, options);
-            const results = [];
-            
-            for (let i = 0; i < files.length; i++) {
-                try {
-                    this.progress((i / files.length) * 100, `Converting ${files[i].name}`);
-                    const result = await converter.convert(files[i]);
-                    results.push({ success: true, file: files[i], result });
-                    
-                    if (this.options.autoDownload && result.blob) {
-                        OmniConvertCore.downloadFile(result.blob, result.filename, result.mimeType);
+    // Whether ctx.filter really filters (Safari before 18 accepts the property and ignores it)
+    function canvasFilterSupported(createCanvas) {
+        if (canvasFilterSupported.result === undefined) {
+            try {
+                const ctx = createCanvas(1, 1).getContext('2d');
+                ctx.filter = 'invert(1)';
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0, 0, 1, 1);
+                canvasFilterSupported.result = ctx.getImageData(0, 0, 1, 1).data[0] === 255;
+            } catch (error) {
+                canvasFilterSupported.result = false;
+            }
+        }
+        return canvasFilterSupported.result;
+    }
+
+    /**
+     * Apply one adjustment step to RGBA pixels in place. The colour matrices and transfer functions are
+     * those of the CSS filter functions, so the result matches ctx.filter; blur works on premultiplied
+     * alpha with repeated edges. Self-contained so it can be embedded in the worker source.
+     */
+    function adjustPixels(data, width, height, step) {
+        const { op } = step;
+
+        // Separable convolution of premultiplied pixels with a symmetric kernel
+        const convolve = (kernel) => {
+            const radius = (kernel.length - 1) / 2;
+            let input = new Float32Array(data.length);
+            for (let i = 0; i < data.length; i += 4) {
+                const alpha = data[i + 3] / 255;
+                input[i] = data[i] * alpha;
+                input[i + 1] = data[i + 1] * alpha;
+                input[i + 2] = data[i + 2] * alpha;
+                input[i + 3] = data[i + 3];
+            }
+
+            for (const horizontal of [true, false]) {
+                const output = new Float32Array(input.length);
+                const length = horizontal ? width : height;
+                const stride = horizontal ? 4 : width * 4;
+                for (let line = 0; line < (horizontal ? height : width); line++) {
+                    const start = horizontal ? line * width * 4 : line * 4;
+                    for (let position = 0; position < length; position++) {
+                        let r = 0, g = 0, b = 0, a = 0;
+                        for (let k = -radius; k <= radius; k++) {
+                            const offset = start + Math.min(length - 1, Math.max(0, position + k)) * stride;
+                            const weight = kernel[k + radius];
+                            r += input[offset] * weight;
+                            g += input[offset + 1] * weight;
+                            b += input[offset + 2] * weight;
+                            a += input[offset + 3] * weight;
+                        }
+                        const target = start + position * stride;
+                        output[target] = r;
+                        output[target + 1] = g;
+                        output[target + 2] = b;
+                        output[target + 3] = a;
                     }
-                } catch (error) {
-                    results.push({ success: false, file: files[i], error: error.message });
-                    this.error(`Failed to convert ${files[i].name}`, error);
                 }
+                input = output;
             }
-            
-            this.progress(100, 'Conversion complete');
-            this.success(`Converted ${results.filter(r => r.success).length}/${files.length} files`);
-            
-            return results;
+
+            const result = new Uint8ClampedArray(data.length);
+            for (let i = 0; i < data.length; i += 4) {
+                const alpha = input[i + 3];
+                result[i + 3] = alpha;
+                if (alpha > 0) {
+                    result[i] = input[i] * 255 / alpha;
+                    result[i + 1] = input[i + 1] * 255 / alpha;
+                    result[i + 2] = input[i + 2] * 255 / alpha;
+                }
+            }
+            return result;
+        };
+        const gaussian = (sigma) => {
+            const radius = Math.max(1, Math.ceil(sigma * 3));
+            const kernel = [];
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+                kernel.push(weight);
+                sum += weight;
+            }
+            return kernel.map(weight => weight / sum);
+        };
+
+        if (op === 'blur') {
+            const size = Math.round(step.radius) * 2 + 1;
+            const kernel = step.type === 'box' ? new Array(size).fill(1 / size) : gaussian(step.radius);
+            data.set(convolve(kernel));
+            return;
+        }
+
+        if (op === 'sharpen') {
+            const blurred = convolve(gaussian(step.radius));
+            for (let i = 0; i < data.length; i += 4) {
+                for (let c = i; c < i + 3; c++) {
+                    const difference = data[c] - blurred[c];
+                    if (Math.abs(difference) >= step.threshold) data[c] = data[c] + step.amount * difference;
+                }
+            }
+            return;
+        }
+
+        if (op === 'threshold') {
+            for (let i = 0; i < data.length; i += 4) {
+                const value = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2] >= step.level ? 255 : 0;
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+            return;
+        }
+
+        if (op === 'gamma') {
+            const table = new Uint8ClampedArray(256);
+            for (let v = 0; v < 256; v++) table[v] = Math.round(255 * Math.pow(v / 255, 1 / step.amount));
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = table[data[i]];
+                data[i + 1] = table[data[i + 1]];
+                data[i + 2] = table[data[i + 2]];
+            }
+            return;
+        }
+
+        // Everything else is a 3×3 colour matrix plus an offset (0–255)
+        const a = step.amount;
+        const s = 1 - a;
+        const matrices = {
+            brightness: () => [a, 0, 0, 0, a, 0, 0, 0, a, 0],
+            contrast: () => [a, 0, 0, 0, a, 0, 0, 0, a, (0.5 - 0.5 * a) * 255],
+            saturation: () => [
+                0.213 + 0.787 * a, 0.715 - 0.715 * a, 0.072 - 0.072 * a,
+                0.213 - 0.213 * a, 0.715 + 0.285 * a, 0.072 - 0.072 * a,
+                0.213 - 0.213 * a, 0.715 - 0.715 * a, 0.072 + 0.928 * a, 0],
+            grayscale: () => [
+                0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s,
+                0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s,
+                0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s, 0],
+            sepia: () => [
+                0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s,
+                0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s,
+                0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s, 0],
+            invert: () => [1 - 2 * a, 0, 0, 0, 1 - 2 * a, 0, 0, 0, 1 - 2 * a, a * 255]
+        };
+        const m = matrices[op]();
+        const offset = m[9];
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            data[i] = m[0] * r + m[1] * g + m[2] * b + offset;
+            data[i + 1] = m[3] * r + m[4] * g + m[5] * b + offset;
+            data[i + 2] = m[6] * r + m[7] * g + m[8] * b + offset;
         }
     }
 
     /**
-     * Base class for all converters
+     * Apply normalized adjustment steps (see normalizeAdjustments) to a canvas, returning the result canvas.
+     * Leading colour steps go through ctx.filter when the browser really supports it, the rest
+     * through adjustPixels. Self-contained so it can be embedded in the worker source.
      */
-    class BaseConverter {
-        constructor(options = {}) {
-            this.options = options;
+    function applyAdjustments(canvas, steps, createCanvas) {
+        const filters = { brightness: 'brightness', contrast: 'contrast', saturation: 'saturate', grayscale: 'grayscale', sepia: 'sepia', invert: 'invert' };
+        let index = 0;
+
+        if (canvasFilterSupported(createCanvas)) {
+            while (index < steps.length && filters[steps[index].op]) index++;
+            if (index > 0) {
+                const filtered = createCanvas(canvas.width, canvas.height);
+                const ctx = filtered.getContext('2d');
+                ctx.filter = steps.slice(0, index).map(step => `${filters[step.op]}(${step.amount})`).join(' ');
+                ctx.drawImage(canvas, 0, 0);
+                canvas = filtered;
+            }
+        }
+        if (index === steps.length) return canvas;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        for (const step of steps.slice(index)) {
+            adjustPixels(image.data, canvas.width, canvas.height, step);
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    const WATERMARK_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+    /**
+     * Validate options.watermark and fill in defaults: { text | image, position, margin, opacity, rotate,
+     * tile, spacing } plus font, fontSize, fontWeight and color for text, width for images.
+     * Sizes are in output pixels (points for PDF); fontSize and width default to 5% of the shorter
+     * side and 20% of the width when drawn. rotate is clockwise, -30 by default when tiled.
+     */
+    function normalizeWatermark(watermark) {
+        if (!watermark) return null;
+
+        const invalid = message => new InvalidOptionError(`Watermark ${message}`, { option: 'watermark', value: watermark });
+        const { text = null, image = null } = watermark;
+        if (text !== null && typeof text !== 'string') throw invalid("'text' must be a string");
+        if (Boolean(text) === Boolean(image)) throw invalid("needs either 'text' or 'image'");
+
+        const position = watermark.position || 'bottom-right';
+        if (!WATERMARK_POSITIONS.includes(position)) {
+            throw invalid(`position must be one of: ${WATERMARK_POSITIONS.join(', ')}`);
         }
 
-        log(message, data = null) {
-            if (this.options.enableLogging) {
-                console.log(`[${this.constructor.name}] ${message}`, data || '');
+        const number = (name, fallback, min, max = Infinity) => {
+            const value = watermark[name] === undefined || watermark[name] === null ? fallback : watermark[name];
+            if (value !== null && (typeof value !== 'number' || !(value >= min && value <= max))) {
+                throw invalid(`'${name}' must be a number ${max < Infinity ? `between ${min} and ${max}` : `of at least ${min}`}`);
+            }
+            return value;
+        };
+        const tile = Boolean(watermark.tile);
+
+        return {
+            text: text || null,
+            image,
+            position,
+            tile,
+            margin: number('margin', 16, 0),
+            opacity: number('opacity', 0.5, 0, 1),
+            rotate: number('rotate', tile ? -30 : 0, -360, 360),
+            spacing: number('spacing', null, 0),
+            fontSize: number('fontSize', null, 1),
+            width: number('width', null, 1),
+            font: watermark.font || 'sans-serif',
+            fontWeight: watermark.fontWeight || 'normal',
+            color: watermark.color || '#808080'
+        };
+    }
+
+    /**
+     * Centres of the watermark boxes in an area with a top-left origin: one box anchored by position
+     * and margin (its rotated bounds stay inside), or a staggered grid along the rotated axes when tiled.
+     */
+    function watermarkPlacements(areaWidth, areaHeight, boxWidth, boxHeight, mark) {
+        const angle = mark.rotate * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        if (!mark.tile) {
+            const outerWidth = Math.abs(boxWidth * cos) + Math.abs(boxHeight * sin);
+            const outerHeight = Math.abs(boxWidth * sin) + Math.abs(boxHeight * cos);
+            const [vertical, horizontal] = mark.position.includes('-') ? mark.position.split('-')
+                : ['top', 'bottom'].includes(mark.position) ? [mark.position, 'center']
+                    : ['center', mark.position];
+            const along = (side, start, end, area, outer) => side === start ? mark.margin + outer / 2
+                : side === end ? area - mark.margin - outer / 2
+                    : area / 2;
+            return [{
+                x: along(horizontal, 'left', 'right', areaWidth, outerWidth),
+                y: along(vertical, 'top', 'bottom', areaHeight, outerHeight)
+            }];
+        }
+
+        const spacing = mark.spacing === null ? Math.max(boxWidth, boxHeight) / 2 : mark.spacing;
+        const stepX = boxWidth + spacing;
+        const stepY = boxHeight + spacing;
+        const pad = Math.hypot(boxWidth, boxHeight) / 2;
+        // Enough rows and columns to cover the area at any angle
+        const reach = Math.hypot(areaWidth, areaHeight) / 2 + pad;
+        const columns = Math.ceil(reach / stepX) + 1;
+        const rows = Math.ceil(reach / stepY);
+        const placements = [];
+
+        for (let row = -rows; row <= rows; row++) {
+            const offset = Math.abs(row) % 2 ? stepX / 2 : 0;
+            for (let column = -columns; column <= columns; column++) {
+                const u = column * stepX + offset;
+                const v = row * stepY;
+                const x = areaWidth / 2 + u * cos - v * sin;
+                const y = areaHeight / 2 + u * sin + v * cos;
+                if (x > -pad && x < areaWidth + pad && y > -pad && y < areaHeight + pad) placements.push({ x, y });
+            }
+        }
+        return placements;
+    }
+
+    // Pick the transform options out of converter options; null when there is nothing to do
+    function pickTransform(options) {
+        const transform = {};
+        for (const name of Object.keys(IMAGE_TRANSFORM_OPTIONS)) {
+            if (options[name] !== undefined && options[name] !== null && options[name] !== false) {
+                transform[name] = options[name];
+            }
+        }
+        if (transform.adjustments) {
+            transform.adjustments = normalizeAdjustments(transform.adjustments);
+            if (!transform.adjustments) delete transform.adjustments;
+        }
+        if (transform.watermark) {
+            transform.watermark = normalizeWatermark(transform.watermark);
+        }
+        return Object.keys(transform).some(name => name !== 'fit' && !(name === 'rotate' && transform.rotate % 360 === 0))
+            ? transform
+            : null;
+    }
+
+    // Image rendering worker: decode with createImageBitmap, draw and encode on an OffscreenCanvas
+    const IMAGE_WORKER_SOURCE = `
+        ${planTransform}
+        ${drawTransformed}
+        ${orientationTransform}
+        ${canvasFilterSupported}
+        ${adjustPixels}
+        ${applyAdjustments}
+
+        const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+        let appliesOrientation = null;
+
+        async function decoderAppliesOrientation() {
+            if (appliesOrientation === null) {
+                try {
+                    const bytes = Uint8Array.from(atob('${ORIENTATION_TEST_JPEG}'), c => c.charCodeAt(0));
+                    const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/jpeg' }));
+                    appliesOrientation = bitmap.width === 1;
+                    bitmap.close();
+                } catch (error) {
+                    appliesOrientation = true;
+                }
+            }
+            return appliesOrientation;
+        }
+
+        self.onmessage = async (event) => {
+            const { id, blob, type, quality, backgroundColor, transform, orientation } = event.data;
+            try {
+                const bitmap = await createImageBitmap(blob);
+                let source = bitmap;
+
+                // Older decoders hand over the stored pixels; turn them upright first
+                if (orientation > 1 && !(await decoderAppliesOrientation())) {
+                    source = drawTransformed(bitmap, planTransform(bitmap.width, bitmap.height, orientationTransform(orientation)), createCanvas);
+                }
+
+                const plan = planTransform(source.width, source.height, transform || {});
+                const canvas = drawTransformed(source, plan, createCanvas, backgroundColor);
+                bitmap.close();
+
+                const result = await canvas.convertToBlob({ type, quality });
+                if (result.type !== type) {
+                    throw new Error('Encoding ' + type + ' is not supported in workers');
+                }
+                self.postMessage({ id, blob: result, width: canvas.width, height: canvas.height });
+            } catch (error) {
+                self.postMessage({ id, error: error.message });
+            }
+        };
+    `;
+
+    /**
+     * Pool of Web Workers rendering images off the main thread
+     */
+    class WorkerPool {
+        constructor(size = 2) {
+            this.size = Math.max(1, size);
+            this.workers = [];
+            this.idle = [];
+            this.queue = [];
+            this.pending = new Map();
+            this.nextId = 1;
+            this.scriptUrl = null;
+        }
+
+        static isSupported() {
+            return typeof Worker !== 'undefined' &&
+                typeof OffscreenCanvas !== 'undefined' &&
+                typeof createImageBitmap !== 'undefined' &&
+                typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+        }
+
+        // Queue a render task; resolves with { blob, width, height }
+        run(task, signal = null) {
+            if (signal && signal.aborted) {
+                return Promise.reject(createAbortError(signal));
+            }
+
+            return new Promise((resolve, reject) => {
+                const job = { id: this.nextId++, task, resolve, reject, signal, worker: null };
+
+                if (signal) {
+                    job.onAbort = () => this.cancel(job);
+                    signal.addEventListener('abort', job.onAbort, { once: true });
+                }
+
+                this.queue.push(job);
+                this.dispatch();
+            });
+        }
+
+        dispatch() {
+            while (this.queue.length > 0) {
+                let worker = this.idle.pop();
+                if (!worker && this.workers.length < this.size) {
+                    worker = this.spawn();
+                }
+                if (!worker) return;
+
+                const job = this.queue.shift();
+                job.worker = worker;
+                this.pending.set(job.id, job);
+                worker.postMessage({ id: job.id, ...job.task });
+            }
+        }
+
+        spawn() {
+            if (!this.scriptUrl) {
+                this.scriptUrl = URL.createObjectURL(new Blob([IMAGE_WORKER_SOURCE], { type: 'text/javascript' }));
+            }
+
+            const worker = new Worker(this.scriptUrl);
+            worker.onmessage = (event) => {
+                const { id, error, ...result } = event.data;
+                const job = this.pending.get(id);
+                if (!job) return;
+
+                this.settle(job);
+                this.idle.push(worker);
+                if (error) {
+                    job.reject(new Error(error));
+                } else {
+                    job.resolve(result);
+                }
+                this.dispatch();
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.replace(worker, new Error(event.message || 'Image worker failed'));
+            };
+
+            this.workers.push(worker);
+            return worker;
+        }
+
+        settle(job) {
+            this.pending.delete(job.id);
+            if (job.signal) {
+                job.signal.removeEventListener('abort', job.onAbort);
+            }
+        }
+
+        cancel(job) {
+            const error = createAbortError(job.signal);
+
+            if (!job.worker) {
+                this.queue = this.queue.filter(queued => queued !== job);
+                this.settle(job);
+                job.reject(error);
+                return;
+            }
+
+            // A busy worker cannot be interrupted; terminate it and start a fresh one on demand
+            this.settle(job);
+            job.reject(error);
+            this.replace(job.worker, null);
+        }
+
+        // Terminate a worker, failing whatever it was running
+        replace(worker, error) {
+            worker.terminate();
+            this.workers = this.workers.filter(w => w !== worker);
+            this.idle = this.idle.filter(w => w !== worker);
+
+            for (const job of Array.from(this.pending.values())) {
+                if (job.worker === worker) {
+                    this.settle(job);
+                    job.reject(error || createAbortError(job.signal));
+                }
+            }
+            this.dispatch();
+        }
+
+        terminate() {
+            this.workers.forEach(worker => worker.terminate());
+            this.workers = [];
+            this.idle = [];
+            for (const job of [...this.queue, ...this.pending.values()]) {
+                this.settle(job);
+                job.reject(new Error('Worker pool terminated'));
+            }
+            this.queue = [];
+            if (this.scriptUrl) {
+                URL.revokeObjectURL(this.scriptUrl);
+                this.scriptUrl = null;
+            }
+        }
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes, crc = 0) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        crc = ~crc >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return ~crc >>> 0;
+    }
+
+    // Read any supported data (Blob, ArrayBuffer, typed array or string) into bytes
+    async function toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        if (data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer());
+        throw new Error('Unsupported data type');
+    }
+
+    // Run bytes through a CompressionStream ('deflate', 'deflate-raw', 'gzip')
+    async function compressBytes(bytes, format) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function decompressBytes(bytes, format) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        // Chunked so String.fromCharCode stays under the argument limit
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Standard or URL-safe base64, whitespace and missing padding allowed; null when malformed
+    function base64ToBytes(text) {
+        let clean = String(text).replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+        if (clean.length % 4 === 1 || !/^[A-Za-z0-9+/]*={0,2}$/.test(clean)) return null;
+        clean = clean.replace(/=+$/, '');
+        clean += '='.repeat((4 - clean.length % 4) % 4);
+
+        const binary = atob(clean);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Split a data: URL (RFC 2397) into { mimeType, parameters, bytes }.
+     * Non-base64 payloads are percent-decoded; null when the string is not a data URL.
+     */
+    function parseDataUrl(text) {
+        const match = /^\s*data:([^,]*),([\s\S]*)$/i.exec(text);
+        if (!match) return null;
+
+        const [type, ...parameters] = match[1].split(';').map(part => part.trim());
+        const base64 = parameters.length > 0 && parameters[parameters.length - 1].toLowerCase() === 'base64';
+        if (base64) parameters.pop();
+
+        let bytes;
+        if (base64) {
+            bytes = base64ToBytes(match[2].replace(/%([0-9a-f]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+            if (!bytes) return null;
+        } else {
+            // Percent escapes are raw bytes; everything else is UTF-8 text
+            const encoded = new TextEncoder().encode(match[2]);
+            bytes = new Uint8Array(encoded.length);
+            let length = 0;
+            for (let i = 0; i < encoded.length; i++) {
+                const hex = encoded[i] === 0x25 && i + 2 < encoded.length
+                    ? String.fromCharCode(encoded[i + 1], encoded[i + 2])
+                    : '';
+                if (/^[0-9a-f]{2}$/i.test(hex)) {
+                    bytes[length++] = parseInt(hex, 16);
+                    i += 2;
+                } else {
+                    bytes[length++] = encoded[i];
+                }
+            }
+            bytes = bytes.slice(0, length);
+        }
+
+        return {
+            // RFC 2397: an omitted media type means text/plain
+            mimeType: (type || 'text/plain').toLowerCase(),
+            parameters,
+            bytes
+        };
+    }
+
+    /**
+     * Minimal dependency-free ZIP archive writer.
+     * Entries are stored, or deflated with CompressionStream where the browser has it.
+     */
+    class ZipWriter {
+        constructor(options = {}) {
+            this.compression = options.compression || 'deflate';
+            this.entries = [];
+            this.names = new Set();
+        }
+
+        static supportsDeflate() {
+            return typeof CompressionStream !== 'undefined';
+        }
+
+        // Make a name unique inside the archive: photo.png, photo (1).png, ...
+        uniqueName(name) {
+            const dot = name.lastIndexOf('.');
+            const base = dot > 0 ? name.substring(0, dot) : name;
+            const extension = dot > 0 ? name.substring(dot) : '';
+            let candidate = name;
+
+            for (let i = 1; this.names.has(candidate.toLowerCase()); i++) {
+                candidate = `${base} (${i})${extension}`;
+            }
+            this.names.add(candidate.toLowerCase());
+            return candidate;
+        }
+
+        /**
+         * Add a file; returns the name it was stored under.
+         * Pass { compress: false } for data that is already compressed (JPEG, PNG, ...).
+         */
+        async addFile(name, data, options = {}) {
+            const bytes = await toBytes(data);
+            const storedName = this.uniqueName(name.replace(/\\/g, '/').replace(/^\/+/, ''));
+
+            let method = 0;
+            let content = bytes;
+
+            if (this.compression === 'deflate' && options.compress !== false && ZipWriter.supportsDeflate() && bytes.length > 0) {
+                const deflated = await compressBytes(bytes, 'deflate-raw');
+                // Keep the deflated data only when it actually saves space
+                if (deflated.length < bytes.length) {
+                    method = 8;
+                    content = deflated;
+                }
+            }
+
+            if (content.length > 0xFFFFFFFF || this.entries.length >= 0xFFFF) {
+                throw new LimitExceededError('ZIP archive limits exceeded (ZIP64 is not supported)', { limit: 'zip32' });
+            }
+
+            this.entries.push({
+                name: new TextEncoder().encode(storedName),
+                crc: crc32(bytes),
+                size: bytes.length,
+                compressedSize: content.length,
+                method,
+                content,
+                date: options.date || new Date()
+            });
+
+            return storedName;
+        }
+
+        // Assemble the archive
+        generate() {
+            const parts = [];
+            const central = [];
+            let offset = 0;
+
+            for (const entry of this.entries) {
+                const { time, date } = ZipWriter.dosDateTime(entry.date);
+
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034B50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true); // UTF-8 file names
+                local.setUint16(8, entry.method, true);
+                local.setUint16(10, time, true);
+                local.setUint16(12, date, true);
+                local.setUint32(14, entry.crc, true);
+                local.setUint32(18, entry.compressedSize, true);
+                local.setUint32(22, entry.size, true);
+                local.setUint16(26, entry.name.length, true);
+                local.setUint16(28, 0, true);
+
+                const header = new DataView(new ArrayBuffer(46));
+                header.setUint32(0, 0x02014B50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 20, true);
+                header.setUint16(8, 0x0800, true);
+                header.setUint16(10, entry.method, true);
+                header.setUint16(12, time, true);
+                header.setUint16(14, date, true);
+                header.setUint32(16, entry.crc, true);
+                header.setUint32(20, entry.compressedSize, true);
+                header.setUint32(24, entry.size, true);
+                header.setUint16(28, entry.name.length, true);
+                header.setUint32(42, offset, true);
+
+                parts.push(local, entry.name, entry.content);
+                central.push(header, entry.name);
+                offset += 30 + entry.name.length + entry.compressedSize;
+            }
+
+            if (offset > 0xFFFFFFFF) {
+                throw new LimitExceededError('ZIP archive limits exceeded (ZIP64 is not supported)', { limit: 'zip32' });
+            }
+
+            const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, this.entries.length, true);
+            end.setUint16(10, this.entries.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...parts, ...central, end], { type: 'application/zip' });
+        }
+
+        static dosDateTime(value) {
+            const d = value instanceof Date ? value : new Date(value);
+            const year = Math.max(1980, d.getFullYear());
+            return {
+                time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+                date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+            };
+        }
+    }
+
+    // MIME types whose data is already compressed and gains nothing from deflate
+    const COMPRESSED_MIME_TYPES = /^(image\/(jpeg|png|webp|gif|avif|heic|heif)|application\/(zip|pdf|gzip)|video\/|audio\/)/;
+
+    /**
+     * Expand a converter's declared metadata:
+     * inputs/output given as format names gain their MIME types and extensions from FORMATS.
+     * Formats unknown to FORMATS can list `inputMimeTypes`, `inputExtensions`, `outputMimeType`.
+     */
+    function expandMetadata(type, metadata) {
+        const inputs = (metadata.inputs || []).map(normalizeFormat).filter(Boolean);
+        const output = normalizeFormat(metadata.output);
+        const outputInfo = FORMATS[output] || { mimeTypes: [], extensions: output ? [output] : [] };
+
+        const supportedInputs = [];
+        for (const format of inputs) {
+            const info = FORMATS[format] || { mimeTypes: [], extensions: [format] };
+            supportedInputs.push(...info.mimeTypes, ...info.extensions.map(extension => `.${extension}`));
+        }
+        supportedInputs.push(...(metadata.inputMimeTypes || []), ...(metadata.inputExtensions || []).map(extension => `.${extension.replace(/^\./, '')}`));
+
+        return {
+            type,
+            label: metadata.label || type,
+            category: metadata.category || 'other',
+            inputs,
+            inputExtensions: Array.from(new Set(supportedInputs.filter(value => value.startsWith('.')).map(value => value.substring(1)))),
+            inputMimeTypes: Array.from(new Set(supportedInputs.filter(value => value.includes('/')))),
+            supportedInputs: Array.from(new Set(supportedInputs)),
+            output,
+            outputMimeType: metadata.outputMimeType || outputInfo.mimeTypes[0] || 'application/octet-stream',
+            outputExtensions: outputInfo.extensions,
+            dependencies: metadata.dependencies || [],
+            options: metadata.options || {}
+        };
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Whether an optional library is loaded as a global
+    function isDependencyAvailable(name) {
+        const root = typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : {});
+        return typeof root[name] !== 'undefined';
+    }
+
+    const OPTION_TYPES = {
+        number: value => typeof value === 'number' && !Number.isNaN(value),
+        boolean: value => typeof value === 'boolean',
+        string: value => typeof value === 'string',
+        color: value => typeof value === 'string',
+        function: value => typeof value === 'function',
+        array: value => Array.isArray(value),
+        object: value => typeof value === 'object' && !Array.isArray(value)
+    };
+
+    // Check options against a converter's options schema; unknown keys are left alone
+    function validateOptions(type, schema, options) {
+        for (const [name, rule] of Object.entries(schema)) {
+            const value = options[name];
+            if (value === undefined || value === null) continue;
+
+            const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+            if (rule.type && !types.some(t => (OPTION_TYPES[t] || (() => true))(value))) {
+                throw new InvalidOptionError(`Option '${name}' of '${type}' must be of type ${types.join(' | ')}`, { option: name, value });
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                throw new InvalidOptionError(`Option '${name}' of '${type}' must be one of: ${rule.enum.join(', ')}`, { option: name, value });
+            }
+            if (typeof value === 'number') {
+                if (rule.min !== undefined && value < rule.min) {
+                    throw new InvalidOptionError(`Option '${name}' of '${type}' must be at least ${rule.min}`, { option: name, value });
+                }
+                if (rule.max !== undefined && value > rule.max) {
+                    throw new InvalidOptionError(`Option '${name}' of '${type}' must be at most ${rule.max}`, { option: name, value });
+                }
+            }
+        }
+    }
+
+    /**
+     * CSV
+     */
+
+    // Encoding named by a byte order mark, or null
+    function bomEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        return null;
+    }
+
+    /**
+     * Guess the encoding of text without a byte order mark from its first 64 KB:
+     * UTF-16 when every other byte is zero, UTF-8 when the bytes are valid UTF-8,
+     * otherwise windows-1251 for runs of Cyrillic letters or windows-1252 (latin1).
+     */
+    function sniffTextEncoding(bytes) {
+        const sample = bytes.subarray(0, 65536);
+        const pairs = sample.length >> 1;
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i + 1 < sample.length; i += 2) {
+            if (sample[i] === 0) evenZeros++;
+            if (sample[i + 1] === 0) oddZeros++;
+        }
+        if (pairs > 0 && oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+        if (pairs > 0 && evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+
+        try {
+            // stream: a multi-byte sequence cut off by the sample end is not an error
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            // Not UTF-8: a single-byte code page
+        }
+
+        // Cyrillic letters (0xC0-0xFF in windows-1251) come in runs; latin1 accents are mostly isolated
+        let high = 0;
+        let adjacent = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] < 0xC0) continue;
+            high++;
+            if (sample[i - 1] >= 0xC0 || sample[i + 1] >= 0xC0) adjacent++;
+        }
+        return high > 0 && adjacent / high > 0.5 ? 'windows-1251' : 'windows-1252';
+    }
+
+    /**
+     * TextDecoder for bytes in the given encoding; 'auto' sniffs it (see sniffTextEncoding).
+     * A byte order mark always wins, as in the WHATWG decode algorithm.
+     */
+    function createTextDecoder(bytes, encoding = 'auto') {
+        const requested = encoding && encoding.toLowerCase() !== 'auto' ? encoding : null;
+        const label = bomEncoding(bytes) || requested || sniffTextEncoding(bytes);
+        try {
+            return new TextDecoder(label);
+        } catch (error) {
+            throw new InvalidOptionError(`Unsupported text encoding: ${encoding}`, { option: 'encoding', value: encoding });
+        }
+    }
+
+    // Decode a whole file's bytes: { text, encoding } with the WHATWG encoding name
+    function decodeText(bytes, encoding = 'auto') {
+        const decoder = createTextDecoder(bytes, encoding);
+        return { text: decoder.decode(bytes), encoding: decoder.encoding };
+    }
+
+    // Most likely CSV delimiter: the candidate found the same, non-zero number of times on the most lines
+    function detectCsvDelimiter(text, candidates = [',', ';', '\t', '|']) {
+        // Quoted fields may contain any delimiter and line breaks
+        const unquoted = text.slice(0, 65536).replace(/^﻿/, '').replace(/"(?:[^"]|"")*"/g, '""');
+        const lines = unquoted.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').slice(0, 20);
+        let best = { delimiter: candidates[0], lines: 0, count: 0 };
+
+        for (const delimiter of candidates) {
+            const counts = lines.map(line => line.split(delimiter).length - 1);
+            if (counts.length === 0 || counts[0] === 0) continue;
+            const matching = counts.filter(count => count === counts[0]).length;
+            if (matching > best.lines || (matching === best.lines && counts[0] > best.count)) {
+                best = { delimiter, lines: matching, count: counts[0] };
+            }
+        }
+        return best.delimiter;
+    }
+
+    // CsvParser states
+    const CSV_FIELD_START = 0;
+    const CSV_UNQUOTED = 1;
+    const CSV_QUOTED = 2;
+    const CSV_QUOTE_IN_QUOTED = 3;
+    const CSV_AFTER_QUOTED = 4;
+
+    // Malformed rows kept in CsvParser.errors; the rest are only counted
+    const CSV_MAX_ERRORS = 100;
+
+    // CSV to JSON streams files larger than this unless options.streaming says otherwise
+    const CSV_STREAM_THRESHOLD = 32 * 1024 * 1024;
+
+    /**
+     * RFC 4180 CSV parser. Quoted fields may contain delimiters, line breaks and "" escaped
+     * quotes; rows end at CRLF, LF or CR and a leading UTF-8 BOM is dropped.
+     * Incremental: push() text in chunks of any size, then end(). Both return the rows they
+     * completed as { fields, line }, line being the 1-based line the row starts on.
+     *
+     * Options: delimiter (','), trim (true: trim unquoted fields), skipEmptyLines (true),
+     * strict (false), file (for errors). A quote inside an unquoted field, text after a closing
+     * quote or a row whose field count differs from the first row throws a ParseError in strict
+     * mode; otherwise the row is parsed leniently and listed in `errors` as { line, column, message }.
+     * An unterminated quoted field always throws.
+     */
+    class CsvParser {
+        constructor(options = {}) {
+            this.delimiter = options.delimiter || ',';
+            this.trim = options.trim !== false;
+            this.skipEmptyLines = options.skipEmptyLines !== false;
+            this.strict = options.strict === true;
+            this.file = options.file || null;
+
+            this.errors = [];
+            this.errorCount = 0;
+            this.fieldCount = null;
+            this.rowCount = 0;
+
+            this.state = CSV_FIELD_START;
+            this.field = '';
+            this.quoted = false;
+            this.fields = [];
+            this.line = 1;
+            this.column = 0;
+            this.rowLine = 1;
+            this.quoteLine = 0;
+            this.quoteColumn = 0;
+            this.afterCR = false;
+            this.started = false;
+        }
+
+        // Parse a whole text at once
+        parse(text) {
+            return this.push(text).concat(this.end());
+        }
+
+        push(text) {
+            const rows = [];
+            const { delimiter } = this;
+            let i = 0;
+
+            if (!this.started && text.length > 0) {
+                this.started = true;
+                if (text.charCodeAt(0) === 0xFEFF) i = 1;
+            }
+
+            for (; i < text.length; i++) {
+                // Fast path: copy runs of plain characters inside a field in one slice
+                if (this.state === CSV_UNQUOTED || this.state === CSV_QUOTED) {
+                    const end = this.state === CSV_QUOTED ? this.quotedRunEnd(text, i) : this.unquotedRunEnd(text, i);
+                    if (end > i) {
+                        this.field += text.slice(i, end);
+                        i = end - 1;
+                        continue;
+                    }
+                }
+
+                const char = text[i];
+                const afterCR = this.afterCR;
+
+                // CRLF is one line break
+                if (char === '\n') {
+                    if (!afterCR) this.line++;
+                    this.column = 0;
+                } else if (char === '\r') {
+                    this.line++;
+                    this.column = 0;
+                } else {
+                    this.column++;
+                }
+                this.afterCR = char === '\r';
+                const lineBreak = char === '\r' || char === '\n';
+
+                switch (this.state) {
+                    case CSV_FIELD_START:
+                        if (char === '"') {
+                            this.state = CSV_QUOTED;
+                            this.quoted = true;
+                            this.quoteLine = this.line;
+                            this.quoteColumn = this.column;
+                        } else if (char === delimiter) {
+                            this.endField();
+                        } else if (lineBreak) {
+                            // The CR of a CRLF already ended the row
+                            if (!(char === '\n' && afterCR)) this.endRow(rows);
+                        } else if (!(this.trim && (char === ' ' || char === '\t'))) {
+                            this.field += char;
+                            this.state = CSV_UNQUOTED;
+                        }
+                        break;
+
+                    case CSV_UNQUOTED:
+                        if (char === delimiter) {
+                            this.endField();
+                        } else if (lineBreak) {
+                            this.endRow(rows);
+                        } else {
+                            if (char === '"') this.malformed('Unexpected quote in an unquoted field', this.line, this.column);
+                            this.field += char;
+                        }
+                        break;
+
+                    case CSV_QUOTED:
+                        if (char === '"') this.state = CSV_QUOTE_IN_QUOTED;
+                        else this.field += char;
+                        break;
+
+                    case CSV_QUOTE_IN_QUOTED:
+                        if (char === '"') {
+                            this.field += '"';
+                            this.state = CSV_QUOTED;
+                            break;
+                        }
+                        this.state = CSV_AFTER_QUOTED;
+                        // falls through: the quote closed the field
+
+                    case CSV_AFTER_QUOTED:
+                        if (char === delimiter) {
+                            this.endField();
+                        } else if (lineBreak) {
+                            this.endRow(rows);
+                        } else if (!(this.trim && (char === ' ' || char === '\t'))) {
+                            this.malformed('Unexpected character after a closing quote', this.line, this.column);
+                            this.field += char;
+                            this.state = CSV_UNQUOTED;
+                        }
+                        break;
+                }
+            }
+
+            return rows;
+        }
+
+        // Flush the last row; throws on an unterminated quoted field
+        end() {
+            const rows = [];
+            if (this.state === CSV_QUOTED) {
+                throw new ParseError(`Unterminated quoted field starting on line ${this.quoteLine}`, {
+                    file: this.file, format: 'csv', line: this.quoteLine, column: this.quoteColumn
+                });
+            }
+            if (this.fields.length > 0 || this.field !== '' || this.quoted) {
+                this.endRow(rows);
+            }
+            return rows;
+        }
+
+        // End of the plain characters of an unquoted field starting at i
+        unquotedRunEnd(text, i) {
+            let end = i;
+            for (; end < text.length; end++) {
+                const char = text[end];
+                if (char === this.delimiter || char === '"' || char === '\r' || char === '\n') break;
+            }
+            if (end > i) {
+                this.column += end - i;
+                this.afterCR = false;
+            }
+            return end;
+        }
+
+        // End of a quoted field's content up to the next quote, counting the line breaks in it
+        quotedRunEnd(text, i) {
+            let end = text.indexOf('"', i);
+            if (end < 0) end = text.length;
+            for (let j = i; j < end; j++) {
+                const code = text.charCodeAt(j);
+                if (code === 10) {
+                    if (!this.afterCR) this.line++;
+                    this.column = 0;
+                } else if (code === 13) {
+                    this.line++;
+                    this.column = 0;
+                } else {
+                    this.column++;
+                }
+                this.afterCR = code === 13;
+            }
+            return end;
+        }
+
+        endField() {
+            this.fields.push(this.quoted || !this.trim ? this.field : this.field.trim());
+            this.field = '';
+            this.quoted = false;
+            this.state = CSV_FIELD_START;
+        }
+
+        endRow(rows) {
+            const line = this.rowLine;
+            const blank = this.fields.length === 0 && !this.quoted && this.field.trim() === '';
+            this.endField();
+            const fields = this.fields;
+            this.fields = [];
+            this.rowLine = this.line;
+
+            if (blank && this.skipEmptyLines) return;
+
+            if (this.fieldCount === null) {
+                this.fieldCount = fields.length;
+            } else if (fields.length !== this.fieldCount) {
+                this.malformed(`Expected ${this.fieldCount} fields but found ${fields.length}`, line, null);
+            }
+            this.rowCount++;
+            rows.push({ fields, line });
+        }
+
+        malformed(message, line, column) {
+            if (this.strict) {
+                throw new ParseError(`${message} on line ${line}`, { file: this.file, format: 'csv', line, column });
+            }
+            this.errorCount++;
+            if (this.errors.length < CSV_MAX_ERRORS) this.errors.push({ line, column, message });
+        }
+    }
+
+    /**
+     * INSPECTION
+     */
+
+    const FORMAT_CATEGORIES = {
+        image: ['jpg', 'png', 'webp', 'gif', 'bmp', 'tiff', 'ico', 'heic', 'avif', 'svg'],
+        video: ['mp4', 'webm', 'mov'],
+        data: ['csv', 'json', 'ndjson', 'xml'],
+        document: ['pdf', 'md', 'html'],
+        archive: ['zip']
+    };
+
+    function formatCategory(format) {
+        const entry = Object.entries(FORMAT_CATEGORIES).find(([, formats]) => formats.includes(format));
+        return entry ? entry[0] : null;
+    }
+
+    // WebP size, alpha and frames from the RIFF chunks (VP8, VP8L, VP8X, ALPH, ANMF)
+    function readWebpHeader(bytes, view) {
+        const info = { width: 0, height: 0, hasAlpha: false, frameCount: 1 };
+        let frames = 0;
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const type = bytesToAscii(bytes, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const data = offset + 8;
+            const uint24 = at => bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16);
+
+            if (type === 'VP8X') {
+                info.hasAlpha = (bytes[data] & 0x10) !== 0;
+                info.width = uint24(data + 4) + 1;
+                info.height = uint24(data + 7) + 1;
+            } else if (type === 'VP8 ' && !info.width) {
+                info.width = view.getUint16(data + 6, true) & 0x3FFF;
+                info.height = view.getUint16(data + 8, true) & 0x3FFF;
+            } else if (type === 'VP8L' && !info.width) {
+                const bits = view.getUint32(data + 1, true);
+                info.width = (bits & 0x3FFF) + 1;
+                info.height = ((bits >>> 14) & 0x3FFF) + 1;
+                info.hasAlpha = ((bits >>> 28) & 1) === 1;
+            } else if (type === 'ANMF') {
+                frames++;
+            }
+            offset = data + size + (size & 1);
+        }
+        info.frameCount = Math.max(1, frames);
+        return info;
+    }
+
+    // HEIC/AVIF: the largest 'ispe' (image spatial extents) box is the primary image
+    function readHeifHeader(bytes, view) {
+        const info = { width: 0, height: 0, hasAlpha: false, frameCount: 1 };
+        const limit = Math.min(bytes.length, 256 * 1024);
+        for (let i = 4; i + 16 <= limit; i++) {
+            if (bytes[i] !== 0x69 || bytesToAscii(bytes, i, 4) !== 'ispe') continue;
+            const width = view.getUint32(i + 8);
+            const height = view.getUint32(i + 12);
+            if (width * height > info.width * info.height) {
+                info.width = width;
+                info.height = height;
+            }
+        }
+        // Alpha planes are auxiliary images tagged with this URN
+        info.hasAlpha = bytesToAscii(bytes, 0, limit).includes('auxiliary:alpha');
+        return info;
+    }
+
+    /**
+     * Dimensions, alpha and frame count from image headers without decoding pixels.
+     * JPEG dimensions are reported upright (after EXIF orientation) with the raw orientation and EXIF fields.
+     */
+    function readImageHeader(bytes, format) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (format === 'png') {
+            const info = { width: view.getUint32(16), height: view.getUint32(20), hasAlpha: pngHasAlpha(bytes), frameCount: 1 };
+            // APNG declares its frame count in acTL, before the first IDAT
+            for (let offset = 8; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+                const type = bytesToAscii(bytes, offset + 4, 4);
+                if (type === 'acTL') info.frameCount = view.getUint32(offset + 8);
+                if (type === 'IDAT') break;
+            }
+            return info;
+        }
+        if (format === 'jpg') {
+            const { width, height, orientation, exif } = readJpegMetadata(bytes);
+            const turned = orientation >= 5;
+            return { width: turned ? height : width, height: turned ? width : height, hasAlpha: false, frameCount: 1, orientation, exif };
+        }
+        if (format === 'gif') {
+            const decoder = new GifDecoder(bytes);
+            const { frameCount, duration, transparent } = decoder.scanFrames();
+            return { width: decoder.width, height: decoder.height, hasAlpha: transparent, frameCount, duration, loop: decoder.loop };
+        }
+        if (format === 'webp') return readWebpHeader(bytes, view);
+        if (format === 'heic' || format === 'avif') return readHeifHeader(bytes, view);
+        if (format === 'bmp') {
+            // BMPs with an alpha channel only count as transparent when some alpha byte is used
+            const decoder = new BmpDecoder(bytes);
+            if (!decoder.hasAlphaChannel()) {
+                return { width: decoder.width, height: decoder.height, hasAlpha: false, frameCount: 1 };
+            }
+            const image = decoder.decode();
+            let hasAlpha = false;
+            for (let i = 3; i < image.data.length && !hasAlpha; i += 4) hasAlpha = image.data[i] !== 255;
+            return { width: image.width, height: image.height, hasAlpha, frameCount: 1 };
+        }
+        if (format === 'tiff') {
+            const decoder = new TiffDecoder(bytes);
+            const tags = decoder.readTags(0);
+            const [width = 0] = tags[TIFF_TAGS.ImageWidth] || [];
+            const [height = 0] = tags[TIFF_TAGS.ImageLength] || [];
+            return { width, height, hasAlpha: Boolean(tags[TIFF_TAGS.ExtraSamples]), frameCount: 1, pageCount: decoder.pageCount };
+        }
+        if (format === 'ico') {
+            const sizes = [];
+            for (let i = 0; i < view.getUint16(4, true); i++) {
+                sizes.push({ width: bytes[6 + i * 16] || 256, height: bytes[7 + i * 16] || 256 });
+            }
+            const largest = sizes.reduce((best, size) => size.width * size.height > best.width * best.height ? size : best, { width: 0, height: 0 });
+            return { width: largest.width, height: largest.height, hasAlpha: true, frameCount: 1, sizes };
+        }
+        if (format === 'svg') {
+            // Attributes of the root element are enough, no DOM needed
+            const tag = (/<svg\b[^>]*>/i.exec(new TextDecoder().decode(bytes)) || [''])[0];
+            const attribute = name => (new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`).exec(tag) || [])[1] || null;
+            const { width, height } = svgIntrinsicSize({ getAttribute: attribute });
+            return { width: Math.round(width), height: Math.round(height), hasAlpha: true, frameCount: 1 };
+        }
+        return null;
+    }
+
+    // Bytes read from the start of an image for inspect(); most headers fit well within them
+    const IMAGE_HEADER_BYTES = 1024 * 1024;
+
+    // Details that are spread over the whole file: GIF frames, the TIFF page chain, animated WebP frames and BMP alpha
+    function imageHeaderSpansFile(bytes, format) {
+        if (format === 'gif' || format === 'tiff') return true;
+        if (format === 'webp') return bytesToAscii(bytes, 12, 4) === 'VP8X' && (bytes[20] & 0x02) !== 0;
+        if (format === 'bmp') {
+            try {
+                return new BmpDecoder(bytes).hasAlphaChannel();
+            } catch (error) {
+                return false;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * readImageHeader for a file, reading only its first IMAGE_HEADER_BYTES where possible.
+     * The whole file is read when the details span it or the header does not fit in the slice
+     * (e.g. large APP segments before a JPEG frame header). Null when the header is unreadable.
+     */
+    async function readImageInfo(file, format) {
+        const read = bytes => {
+            try {
+                return readImageHeader(bytes, format);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const head = new Uint8Array(await file.slice(0, IMAGE_HEADER_BYTES).arrayBuffer());
+        if (head.length >= file.size) return read(head);
+        if (!imageHeaderSpansFile(head, format)) {
+            const info = read(head);
+            if (info && info.width) return info;
+        }
+        return read(new Uint8Array(await file.arrayBuffer()));
+    }
+
+    /**
+     * Row and column counts, delimiter, encoding and header row of a CSV file. Rows are counted
+     * as the file streams through the parser, so only the text of one chunk is held at a time;
+     * without Blob.stream and TextDecoderStream the whole text is decoded.
+     */
+    async function inspectCsv(file, signal = null) {
+        let headers = null;
+        let rows = 0;
+        let columns = 0;
+        const count = fields => {
+            if (headers) rows++;
+            else headers = fields;
+            columns = Math.max(columns, fields.length);
+        };
+
+        const reader = new CsvToJsonConverter({ signal, streaming: true });
+        if (reader.shouldStream(file)) {
+            for await (const { fields } of reader.parseStream(file)) count(fields);
+            const { delimiter, encoding } = reader.streamState;
+            return { rows, columns, delimiter, encoding, headers: headers || [] };
+        }
+
+        // CSV exports are often in a legacy code page
+        const { text, encoding } = decodeText(new Uint8Array(await file.arrayBuffer()));
+        const delimiter = detectCsvDelimiter(text);
+        for (const { fields } of new CsvParser({ delimiter, file }).parse(text)) count(fields);
+        return { rows, columns, delimiter, encoding, headers: headers || [] };
+    }
+
+    // Root element, nesting depth and element count, from a tag scan that needs no DOM
+    function inspectXml(text) {
+        const markup = text
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+            .replace(/<\?[\s\S]*?\?>/g, '')
+            .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '');
+        const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)(?:"[^"]*"|'[^']*'|[^'">])*?(\/?)>/g;
+        let root = null;
+        let depth = 0;
+        let maxDepth = 0;
+        let elements = 0;
+
+        for (const [, closing, name, selfClosing] of markup.matchAll(tagPattern)) {
+            if (closing) {
+                depth--;
+                continue;
+            }
+            if (!root) root = name;
+            elements++;
+            maxDepth = Math.max(maxDepth, depth + 1);
+            if (!selfClosing) depth++;
+        }
+
+        if (!root) {
+            throw new ParseError('XML document has no root element', { format: 'xml' });
+        }
+        return { root, depth: maxDepth, elements };
+    }
+
+    // Top-level JSON type plus the union of keys of the root object or of the objects in a root array
+    function inspectJson(text) {
+        const value = parseJSON(text);
+        const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        const objects = type === 'array' ? value.filter(item => item && typeof item === 'object' && !Array.isArray(item))
+            : type === 'object' ? [value] : [];
+        const keys = new Set();
+        for (const object of objects) {
+            for (const key of Object.keys(object)) keys.add(key);
+        }
+        return { type, keys: [...keys], length: type === 'array' ? value.length : type === 'object' ? keys.size : null };
+    }
+
+    // Set descriptor[key] from the inspector; a ParseError becomes descriptor.error instead of rejecting
+    async function inspectData(descriptor, key, inspector) {
+        try {
+            descriptor[key] = await inspector();
+        } catch (error) {
+            if (!(error instanceof ParseError)) throw error;
+            descriptor[key] = null;
+            descriptor.error = { code: error.code, message: error.message, line: error.line, column: error.column };
+        }
+    }
+
+    // ATX (# Title) and setext (underlined) headings outside fenced code blocks
+    function inspectMarkdown(text) {
+        const lines = text.split(/\r?\n/);
+        const headings = [];
+        let fence = null;
+
+        lines.forEach((line, index) => {
+            const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+            if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+                fence = fence ? null : fenceMatch[1];
+                return;
+            }
+            if (fence) return;
+
+            const atx = /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+            if (atx) {
+                headings.push({ level: atx[1].length, text: atx[2], line: index + 1 });
+                return;
+            }
+
+            const previous = lines[index - 1];
+            if (/^\s{0,3}(=+|-+)\s*$/.test(line) && previous && previous.trim() &&
+                !/^\s{0,3}(#|[-*+]\s|\d+[.)]\s|>|=+\s*$|-+\s*$)/.test(previous)) {
+                headings.push({ level: line.trim()[0] === '=' ? 1 : 2, text: previous.trim(), line: index });
+            }
+        });
+
+        return { headings, lines: lines.length };
+    }
+
+    /**
+     * Base OmniConvert Core class
+     */
+    class OmniConvertCore {
+        constructor(options = {}) {
+            // Normalized values come after the spread so that, e.g., autoDownload stays off without a document
+            this.options = {
+                ...options,
+                enableLogging: options.enableLogging || false,
+                autoDownload: options.autoDownload !== false && typeof document !== 'undefined',
+                progressCallback: options.progressCallback || null,
+                errorCallback: options.errorCallback || null,
+                successCallback: options.successCallback || null
+            };
+            
+            this.converters = new Map();
+            this.metadataCache = new Map();
+            this.listeners = new Map();
+            this.routeGraph = null;
+            this.workerPool = null;
+            this.isInitialized = false;
+            
+            this.log('OmniConvert Core initialized');
+        }
+
+        log(message, data = null) {
+            if (this.options.enableLogging) {
+                console.log(`[OmniConvert] ${message}`, data || '');
+            }
+        }
+
+        error(message, error = null) {
+            const errorMsg = `[OmniConvert Error] ${message}`;
+            console.error(errorMsg, error || '');
+            
+            if (this.options.errorCallback) {
+                this.options.errorCallback(message, error);
+            }
+        }
+
+        success(message, data = null) {
+            this.log(`Success: ${message}`, data);
+            
+            if (this.options.successCallback) {
+                this.options.successCallback(message, data);
+            }
+        }
+
+        progress(percentage, message = '') {
+            if (this.options.progressCallback) {
+                this.options.progressCallback(percentage, message);
+            }
+        }
+
+        // Events: start, file:start, file:progress, file:done, file:error, complete
+        on(event, handler) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, new Set());
+            }
+            this.listeners.get(event).add(handler);
+            return this;
+        }
+
+        off(event, handler) {
+            const handlers = this.listeners.get(event);
+            if (!handlers) return this;
+
+            for (const registered of Array.from(handlers)) {
+                if (registered === handler || registered.original === handler) {
+                    handlers.delete(registered);
+                }
+            }
+            return this;
+        }
+
+        once(event, handler) {
+            const wrapper = (payload) => {
+                this.off(event, wrapper);
+                handler(payload);
+            };
+            wrapper.original = handler;
+            return this.on(event, wrapper);
+        }
+
+        emit(event, payload = {}) {
+            const handlers = this.listeners.get(event);
+            if (!handlers) return;
+
+            for (const handler of Array.from(handlers)) {
+                try {
+                    handler({ type: event, ...payload });
+                } catch (error) {
+                    this.error(`Listener for '${event}' failed`, error);
+                }
+            }
+        }
+
+        // Register a converter; metadata defaults to the class's static `metadata`
+        registerConverter(name, converterClass, metadata = null) {
+            this.converters.set(name, converterClass);
+            this.metadataCache.delete(name);
+            if (metadata) {
+                this.metadataCache.set(name, expandMetadata(name, metadata));
+            }
+            this.routeGraph = null;
+            this.log(`Registered converter: ${name}`);
+        }
+
+        // Get available converters, optionally filtered by { category, input, output }
+        getAvailableConverters(filter = {}) {
+            const input = normalizeFormat(filter.input);
+            const output = normalizeFormat(filter.output);
+
+            return Array.from(this.converters.keys()).filter(type => {
+                if (!filter.category && !input && !output) return true;
+                const metadata = this.describeConverter(type);
+                return (!filter.category || metadata.category === filter.category) &&
+                    (!input || metadata.inputs.includes(input)) &&
+                    (!output || metadata.output === output);
+            });
+        }
+
+        // Metadata of every registered converter
+        listConverters() {
+            return Array.from(this.converters.keys()).map(type => this.describeConverter(type));
+        }
+
+        // Create converter instance
+        createConverter(type, options = {}) {
+            const ConverterClass = this.converters.get(type);
+            if (!ConverterClass) {
+                throw new ConverterNotFoundError(`Converter '${type}' not found. Available: ${this.getAvailableConverters().join(', ')}`, { converterType: type });
+            }
+            
+            const mergedOptions = { ...this.options, ...options };
+            validateOptions(type, { ...RESULT_FORMAT_OPTIONS, ...this.describeConverter(type).options }, mergedOptions);
+            return new ConverterClass(mergedOptions);
+        }
+
+        /**
+         * Describe a registered converter: label, category, input formats and MIME types,
+         * output format, optional dependencies (with availability) and options schema.
+         */
+        describeConverter(type) {
+            const ConverterClass = this.converters.get(type);
+            if (!ConverterClass) return null;
+
+            if (!this.metadataCache.has(type)) {
+                this.metadataCache.set(type, expandMetadata(type, ConverterClass.metadata || this.introspectConverter(type, ConverterClass)));
+            }
+
+            const metadata = this.metadataCache.get(type);
+            return {
+                ...metadata,
+                available: metadata.dependencies.every(isDependencyAvailable)
+            };
+        }
+
+        // Metadata for converters that declare none: read supportedInputs/outputType from an instance
+        introspectConverter(type, ConverterClass) {
+            let inputs = [];
+            let output = null;
+            const inputExtensions = [];
+
+            try {
+                const instance = new ConverterClass({});
+                for (const value of instance.supportedInputs || []) {
+                    const format = normalizeFormat(value);
+                    if (format && FORMATS[format]) inputs.push(format);
+                    else if (!String(value).includes('/')) inputExtensions.push(String(value));
+                }
+                output = normalizeFormat(instance.outputType);
+            } catch (error) {
+                this.log(`Could not introspect converter: ${type}`, error);
+            }
+
+            // Fall back to the 'source-to-target' naming convention
+            const match = /^(.+)-to-(.+)$/.exec(type);
+            if (match) {
+                if (inputs.length === 0 && inputExtensions.length === 0) inputs = [normalizeFormat(match[1])];
+                if (!output) output = normalizeFormat(match[2]);
+            }
+
+            return { label: type, inputs: Array.from(new Set(inputs)), inputExtensions, output };
+        }
+
+        // Supported input and output extensions per category, derived from converter metadata
+        getSupportedFormats() {
+            const formats = {};
+
+            for (const metadata of this.listConverters()) {
+                if (!metadata.output) continue;
+                const group = formats[metadata.category] || (formats[metadata.category] = { input: [], output: [] });
+
+                for (const extension of metadata.inputExtensions) {
+                    if (!group.input.includes(extension)) group.input.push(extension);
+                }
+                for (const extension of metadata.outputExtensions) {
+                    if (!group.output.includes(extension)) group.output.push(extension);
+                }
+            }
+            return formats;
+        }
+
+        // Build the format graph: format -> [{ type, to }]
+        getRouteGraph() {
+            if (this.routeGraph) return this.routeGraph;
+
+            const graph = new Map();
+            for (const type of this.converters.keys()) {
+                const { inputs, inputExtensions, output } = this.describeConverter(type);
+                if (!output) continue;
+
+                for (const input of new Set([...inputs, ...inputExtensions.map(normalizeFormat)])) {
+                    if (input === output) continue;
+                    if (!graph.has(input)) graph.set(input, []);
+                    graph.get(input).push({ type, to: output });
+                }
+            }
+
+            this.routeGraph = graph;
+            return graph;
+        }
+
+        // Find the shortest chain of converters between two formats (breadth-first search)
+        findConversionPath(fromFormat, toFormat) {
+            const from = normalizeFormat(fromFormat);
+            const to = normalizeFormat(toFormat);
+            if (!from || !to || from === to) return null;
+
+            const graph = this.getRouteGraph();
+            const previous = new Map([[from, null]]);
+            const queue = [from];
+
+            while (queue.length > 0) {
+                const format = queue.shift();
+                if (format === to) break;
+
+                for (const edge of graph.get(format) || []) {
+                    if (previous.has(edge.to)) continue;
+                    previous.set(edge.to, { format, type: edge.type });
+                    queue.push(edge.to);
+                }
+            }
+
+            if (!previous.has(to)) return null;
+
+            const path = [];
+            for (let format = to; previous.get(format); format = previous.get(format).format) {
+                path.unshift(previous.get(format).type);
+            }
+            return path;
+        }
+
+        // Convert a file to the target format, chaining converters when needed
+        async convert(file, targetFormat, options = {}) {
+            const detected = await OmniConvertCore.detectFormat(file);
+            const sourceFormat = detected ? detected.format : null;
+            const target = normalizeFormat(targetFormat);
+
+            if (!sourceFormat) {
+                throw new UnsupportedInputError(`Unable to determine the format of ${file && file.name}`, { file });
+            }
+            if (sourceFormat === target) {
+                throw new UnsupportedInputError(`${file.name} is already in ${target} format`, { file, format: target });
+            }
+
+            const path = this.findConversionPath(sourceFormat, target);
+            if (!path) {
+                throw new UnsupportedInputError(`No conversion path from ${sourceFormat} to ${target}`, { file, format: sourceFormat, targetFormat: target });
+            }
+
+            this.log(`Converting ${file.name} via ${path.join(' → ')}`);
+
+            const baseName = file.name.substring(0, file.name.lastIndexOf('.')) || file.name;
+            const formats = [sourceFormat];
+
+            return this.trackSingle(path.join('+'), file, async (reporter) => {
+                let current = file;
+                let result = null;
+
+                for (let i = 0; i < path.length; i++) {
+                    const converter = this.createConverter(path[i], {
+                        ...(i < path.length - 1 ? intermediateStepOptions(options) : options),
+                        // Spread each step's progress over its share of the chain
+                        progressReporter: (info) => reporter({
+                            ...info,
+                            progress: (i + (info.progress || 0)) / path.length,
+                            stageProgress: info.progress,
+                            step: i,
+                            steps: path.length,
+                            converter: path[i]
+                        })
+                    });
+                    result = await converter.convert(current);
+
+                    const format = normalizeFormat(result.mimeType);
+                    formats.push(format);
+
+                    // Intermediate results keep the original base name so the final filename stays clean
+                    if (i < path.length - 1) {
+                        current = OmniConvertCore.blobToFile(result.blob, `${baseName}.${FORMATS[format] ? FORMATS[format].extensions[0] : format}`, result.mimeType);
+                    }
+                }
+
+                // The last step already delivered the result in options.resultFormat
+                return { ...result, originalSize: file.size, path, formats };
+            });
+        }
+
+        // Detect the format of a file from its content
+        async detectFormat(file) {
+            return OmniConvertCore.detectFormat(file);
+        }
+
+        // Describe a file's format and contents, see OmniConvertCore.inspect
+        async inspect(file, options = {}) {
+            return OmniConvertCore.inspect(file, { signal: this.options.signal, ...options });
+        }
+
+        // Utility methods
+
+        /**
+         * Detect a file's format from its leading bytes.
+         * Binary formats are recognized by signature, text formats by heuristics;
+         * the MIME type and extension are only used when the content is inconclusive.
+         * Returns { format, mimeType, method } or null.
+         */
+        static async detectFormat(file) {
+            if (!file) return null;
+
+            const describe = (format, method) => ({
+                format,
+                mimeType: FORMATS[format] ? FORMATS[format].mimeTypes[0] : (file.type || 'application/octet-stream'),
+                method
+            });
+
+            let bytes = new Uint8Array(0);
+            if (typeof file.slice === 'function') {
+                bytes = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+            }
+
+            const binary = detectBinaryFormat(bytes);
+            if (binary) return describe(binary, 'signature');
+
+            const declared = OmniConvertCore.getFileFormat(file);
+            const isText = bytes.length > 0 && !bytes.includes(0);
+
+            if (isText) {
+                const text = new TextDecoder('utf-8').decode(bytes);
+                const truncated = bytes.length < (file.size || 0);
+                const guessed = detectTextFormat(text, truncated);
+
+                // Heuristics cannot reliably separate CSV from Markdown, so a declared text format wins
+                // unless the content is unambiguous, e.g. a JSON document renamed to .csv
+                if (declared && TEXT_FORMATS.includes(declared) && guessed !== 'svg' &&
+                    !overridesDeclaredText(declared, guessed, text, truncated)) {
+                    return describe(declared, 'declared');
+                }
+                if (guessed) return describe(guessed, 'heuristic');
+            }
+
+            return declared ? describe(declared, 'declared') : null;
+        }
+
+        /**
+         * Describe a file: { name, size, format, mimeType, category, detection } plus details by kind:
+         * image { width, height, hasAlpha, frameCount, ... } and a small thumbnail blob,
+         * csv { rows, columns, delimiter, encoding, headers }, xml { root, depth, elements },
+         * json { type, keys, length } or markdown { headings, lines }.
+         * Content that does not parse leaves its details null and sets error { code, message, line, column }.
+         * Options: thumbnail (default true), thumbnailSize (default 128), signal.
+         */
+        static async inspect(file, options = {}) {
+            const { thumbnail = true, thumbnailSize = 128, signal = null } = options;
+            const detection = await OmniConvertCore.detectFormat(file);
+            const format = detection ? detection.format : null;
+            const category = formatCategory(format);
+            const descriptor = {
+                name: file.name || null,
+                size: file.size,
+                format,
+                mimeType: detection ? detection.mimeType : (file.type || null),
+                category,
+                detection
+            };
+
+            if (category === 'image') {
+                // A damaged header (null) still leaves the thumbnail decode to try
+                descriptor.image = await readImageInfo(file, format);
+
+                if (thumbnail) {
+                    descriptor.thumbnail = await OmniConvertCore.createThumbnail(file, descriptor, thumbnailSize, signal);
+                }
+            } else if (format === 'csv') {
+                await inspectData(descriptor, 'csv', () => inspectCsv(file, signal));
+            } else if (['xml', 'json', 'md'].includes(format)) {
+                const text = await file.text();
+                if (format === 'xml') await inspectData(descriptor, 'xml', () => inspectXml(text));
+                if (format === 'json') await inspectData(descriptor, 'json', () => inspectJson(text));
+                if (format === 'md') descriptor.markdown = inspectMarkdown(text);
+            }
+
+            return descriptor;
+        }
+
+        // Thumbnail that fits in size x size: PNG when the image has alpha, JPEG otherwise; null if it cannot be decoded
+        static async createThumbnail(file, descriptor, size, signal = null) {
+            const hasAlpha = !descriptor.image || descriptor.image.hasAlpha;
+            const type = hasAlpha ? 'image/png' : 'image/jpeg';
+            // Browsers need the MIME type to decode SVG from a blob URL
+            const source = descriptor.format === 'svg' && file.type !== 'image/svg+xml'
+                ? OmniConvertCore.blobToFile(file, file.name || 'image.svg', 'image/svg+xml')
+                : file;
+
+            try {
+                const renderer = new BaseConverter({ signal });
+                const rendered = await renderer.renderImage(source, { type, quality: 0.8, transform: { maxWidth: size, maxHeight: size } });
+                if (!rendered.blob) return null;
+                return { blob: rendered.blob, width: rendered.width, height: rendered.height, mimeType: type };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                return null;
+            }
+        }
+
+        static getFileFormat(file) {
+            if (!file) return null;
+            const fromMime = file.type ? normalizeFormat(file.type) : null;
+            if (fromMime && FORMATS[fromMime]) return fromMime;
+
+            const name = file.name || '';
+            const dot = name.lastIndexOf('.');
+            return dot >= 0 ? normalizeFormat(name.substring(dot + 1)) : null;
+        }
+
+        static blobToFile(blob, filename, mimeType = blob.type) {
+            if (typeof File !== 'undefined') {
+                return new File([blob], filename, { type: mimeType });
+            }
+            const file = new Blob([blob], { type: mimeType });
+            file.name = filename;
+            return file;
+        }
+
+        static generateFilename(originalName, newExtension) {
+            const baseName = originalName.substring(0, originalName.lastIndexOf('.')) || originalName;
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            return `${baseName}-converted-${timestamp}.${newExtension}`;
+        }
+
+        static formatFileSize(bytes) {
+            if (bytes === 0) return '0 Bytes';
+            const k = 1024;
+            const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+            const i = Math.floor(Math.log(bytes) / Math.log(k));
+            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        }
+
+        static validateFileType(file, allowedTypes) {
+            if (!file || !file.name || !allowedTypes) {
+                return false;
+            }
+            
+            return allowedTypes.some(type => {
+                if (!type) return false;
+                
+                if (type.includes('/')) {
+                    // For JSON files, be more lenient with MIME types
+                    if (type === 'application/json') {
+                        return file.type === type || 
+                               file.type === 'text/plain' || 
+                               file.type === '' || 
+                               file.name.toLowerCase().endsWith('.json');
+                    }
+                    return file.type === type;
+                } else {
+                    return file.name.toLowerCase().endsWith(type.toLowerCase());
+                }
+            });
+        }
+
+        static downloadFile(data, filename, mimeType = 'application/octet-stream') {
+            const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
+
+        /**
+         * Add the result's blob in another form: resultFormat 'dataURL', 'base64', 'arrayBuffer'
+         * or 'text' sets the property of that name. The blob is kept for downloads and archives.
+         * A result already in that format is returned as is.
+         */
+        static async formatResult(result, resultFormat = 'blob') {
+            if (!resultFormat || resultFormat === 'blob' || !result || !result.blob) return result;
+            if (result.resultFormat === resultFormat && resultFormat in result) return result;
+            if (!RESULT_FORMATS.includes(resultFormat)) {
+                throw new InvalidOptionError(`Option 'resultFormat' must be one of: ${RESULT_FORMATS.join(', ')}`, { option: 'resultFormat', value: resultFormat });
+            }
+
+            const { blob } = result;
+            let value;
+            if (resultFormat === 'text') {
+                value = await blob.text();
+            } else if (resultFormat === 'arrayBuffer') {
+                value = await blob.arrayBuffer();
+            } else {
+                const base64 = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+                const mimeType = result.mimeType || blob.type || 'application/octet-stream';
+                value = resultFormat === 'base64' ? base64 : `data:${mimeType};base64,${base64}`;
+            }
+            return { ...result, resultFormat, [resultFormat]: value };
+        }
+
+        static async delay(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        // Shared worker pool, grown to the largest concurrency requested
+        getWorkerPool(size) {
+            if (!WorkerPool.isSupported()) return null;
+
+            if (!this.workerPool) {
+                this.workerPool = new WorkerPool(size);
+            } else if (this.workerPool.size < size) {
+                this.workerPool.size = size;
+            }
+            return this.workerPool;
+        }
+
+        // Release the worker pool
+        terminateWorkers() {
+            if (this.workerPool) {
+                this.workerPool.terminate();
+                this.workerPool = null;
+            }
+        }
+
+        // Batch conversion utility
+        async convertMultiple(type, files, options = {}) {
+            const signal = options.signal || this.options.signal || null;
+            const concurrency = Math.max(1, Math.floor(options.concurrency || this.options.concurrency || 1));
+            const useWorkers = (options.useWorkers ?? this.options.useWorkers) !== false;
+            const output = options.output || this.options.output || 'files';
+
+            // Image converters render off the main thread when running in parallel
+            const workerPool = concurrency > 1 && useWorkers ? this.getWorkerPool(concurrency) : null;
+            const converterOptions = workerPool ? { ...options, workerPool } : options;
+            this.createConverter(type, converterOptions);
+
+            const startTime = now();
+            const results = new Array(files.length);
+            let nextIndex = 0;
+            let completed = 0;
+
+            this.emit('start', {
+                converterType: type,
+                total: files.length,
+                bytes: files.reduce((sum, file) => sum + (file.size || 0), 0)
+            });
+
+            const convertNext = async () => {
+                while (nextIndex < files.length) {
+                    const i = nextIndex++;
+                    results[i] = await this.convertBatchItem(type, files[i], i, {
+                        total: files.length,
+                        signal,
+                        output,
+                        converterOptions,
+                        onStart: () => {
+                            this.progress((completed / files.length) * 100, `Converting ${files[i].name}`);
+                        }
+                    });
+                    completed++;
+                }
+            };
+
+            await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, convertNext));
+
+            // Bundle every successful result into one archive
+            if (output === 'zip') {
+                this.progress(100, 'Creating ZIP archive');
+                const archive = await this.createArchive(type, results, options);
+                results.archive = await OmniConvertCore.formatResult(archive, options.resultFormat || this.options.resultFormat);
+
+                if (this.options.autoDownload) {
+                    OmniConvertCore.downloadFile(results.archive.blob, results.archive.filename, results.archive.mimeType);
+                }
+            }
+            
+            const succeeded = results.filter(r => r.success).length;
+            const cancelled = results.filter(r => r.cancelled).length;
+            this.progress(100, cancelled > 0 ? 'Conversion cancelled' : 'Conversion complete');
+            this.success(`Converted ${succeeded}/${files.length} files` +
+                (cancelled > 0 ? ` (${cancelled} cancelled)` : ''));
+
+            this.emit('complete', {
+                converterType: type,
+                total: files.length,
+                succeeded,
+                failed: files.length - succeeded - cancelled,
+                cancelled,
+                results,
+                elapsed: now() - startTime
+            });
+            
+            return results;
+        }
+
+        // Convert a single file with events; resolves with the result or throws
+        async convertSingle(type, file, options = {}) {
+            return this.trackSingle(type, file, async (reporter) => {
+                const converter = this.createConverter(type, { ...options, progressReporter: reporter });
+                return converter.convert(file);
+            });
+        }
+
+        // Emit start/complete around one tracked conversion
+        async trackSingle(type, file, run) {
+            const startTime = now();
+            const files = Array.isArray(file) ? file : [file];
+
+            this.emit('start', {
+                converterType: type,
+                total: 1,
+                bytes: files.reduce((sum, item) => sum + (item.size || 0), 0)
+            });
+
+            const item = await this.trackConversion(type, file, 0, 1, run);
+
+            this.emit('complete', {
+                converterType: type,
+                total: 1,
+                succeeded: item.success ? 1 : 0,
+                failed: item.status === 'error' ? 1 : 0,
+                cancelled: item.cancelled ? 1 : 0,
+                results: [item],
+                elapsed: now() - startTime
+            });
+
+            if (!item.success) throw item.error;
+            return item.result;
+        }
+
+        /**
+         * Run one conversion, emitting file:start, file:progress and file:done / file:error.
+         * run(reporter) performs the conversion; converters report stages through the reporter.
+         * Resolves with a { success, status, file, result | error } entry and never throws.
+         */
+        async trackConversion(type, file, index, total, run) {
+            const startTime = now();
+            const bytes = Array.isArray(file)
+                ? file.reduce((sum, item) => sum + (item.size || 0), 0)
+                : (file.size || 0);
+            const fileName = Array.isArray(file) ? file.map(item => item.name).join(', ') : file.name;
+            const base = { index, total, file, fileName, converterType: type };
+
+            const reporter = ({ stage, progress = 0, ...details }) => {
+                this.emit('file:progress', {
+                    ...base,
+                    stage,
+                    progress: Math.max(0, Math.min(1, progress)),
+                    bytes,
+                    elapsed: now() - startTime,
+                    ...details
+                });
+            };
+
+            this.emit('file:start', { ...base, bytes });
+
+            try {
+                const result = await run(reporter);
+                this.emit('file:done', {
+                    ...base,
+                    result,
+                    bytes,
+                    outputBytes: result && result.blob ? result.blob.size : 0,
+                    elapsed: now() - startTime
+                });
+                return { success: true, status: 'success', file, result };
+            } catch (caught) {
+                const error = toOmniConvertError(caught, Array.isArray(file) ? null : file);
+                const cancelled = isAbortError(error);
+                this.emit('file:error', { ...base, error, cancelled, bytes, elapsed: now() - startTime });
+
+                if (cancelled) {
+                    return { success: false, status: 'cancelled', cancelled: true, file, error };
+                }
+                this.error(`Failed to convert ${fileName}`, error);
+                return { success: false, status: 'error', file, error, code: error.code, message: error.message };
+            }
+        }
+
+        // Write batch results into a ZIP, with a manifest when some files failed
+        async createArchive(type, results, options = {}) {
+            const zip = new ZipWriter({ compression: options.zipCompression || this.options.zipCompression });
+            const entries = [];
+
+            for (const item of results) {
+                if (!item.success || !item.result.blob) continue;
+                const { blob, filename, mimeType } = item.result;
+                const name = await zip.addFile(filename, blob, {
+                    compress: !COMPRESSED_MIME_TYPES.test(mimeType || blob.type || '')
+                });
+                entries.push({ source: item.file.name, output: name, size: blob.size });
+            }
+
+            const failures = results.filter(item => !item.success);
+            if (failures.length > 0) {
+                const manifest = {
+                    converter: type,
+                    created: new Date().toISOString(),
+                    converted: entries,
+                    failed: failures.map(item => ({
+                        source: item.file.name,
+                        status: item.status,
+                        code: item.error ? item.error.code || item.error.name : null,
+                        error: item.error ? item.error.message : null
+                    }))
+                };
+                await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+            }
+
+            const blob = zip.generate();
+            return {
+                blob,
+                filename: options.zipFilename || `converted-files-${new Date().toISOString().slice(0, 10)}.zip`,
+                mimeType: 'application/zip',
+                fileCount: entries.length,
+                failedCount: failures.length,
+                newSize: blob.size
+            };
+        }
+
+        // Convert one file of a batch into its { success, status, file, result | error } entry
+        async convertBatchItem(type, file, index, { total, signal, output, converterOptions, onStart }) {
+            // Stop between files once cancelled; the rest are reported as cancelled
+            if (signal && signal.aborted) {
+                const error = createAbortError(signal);
+                this.emit('file:error', {
+                    index, total, file, fileName: file.name, converterType: type,
+                    error, cancelled: true, bytes: file.size || 0, elapsed: 0
+                });
+                return { success: false, status: 'cancelled', cancelled: true, file, error };
+            }
+
+            onStart();
+            const item = await this.trackConversion(type, file, index, total, async (reporter) => {
+                const converter = this.createConverter(type, { ...converterOptions, progressReporter: reporter });
+                return converter.convert(file);
+            });
+
+            if (item.success && this.options.autoDownload && output !== 'zip' && item.result.blob) {
+                OmniConvertCore.downloadFile(item.result.blob, item.result.filename, item.result.mimeType);
+            }
+            return item;
+        }
+    }
+
+    /**
+     * SVG helpers
+     */
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+    // CSS pixels per unit; percentages cannot be resolved without a viewport
+    const SVG_UNITS = { '': 1, px: 1, pt: 96 / 72, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6, em: 16, ex: 8 };
+
+    const FONT_MIME_TYPES = { woff2: 'font/woff2', woff: 'font/woff', ttf: 'font/ttf', otf: 'font/otf' };
+
+    function parseSvgLength(value) {
+        const match = /^\s*(\d*\.?\d+(?:e[+-]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value || '');
+        if (!match || !(match[2].toLowerCase() in SVG_UNITS)) return null;
+        const length = parseFloat(match[1]) * SVG_UNITS[match[2].toLowerCase()];
+        return length > 0 ? length : null;
+    }
+
+    // Intrinsic size of an <svg> root from width/height and viewBox; browsers fall back to 300 × 150
+    function svgIntrinsicSize(root) {
+        let width = parseSvgLength(root.getAttribute('width'));
+        let height = parseSvgLength(root.getAttribute('height'));
+        const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            const ratio = viewBox[2] / viewBox[3];
+            if (width && !height) height = width / ratio;
+            else if (height && !width) width = height * ratio;
+            else if (!width && !height) [, , width, height] = viewBox;
+        }
+        return { width: width || 300, height: height || 150, viewBox: viewBox.length === 4 };
+    }
+
+    // MIME type from a URL's extension, for responses that do not declare one (e.g. file: URLs)
+    function mimeTypeFromUrl(url) {
+        const extension = (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(url) || [])[1];
+        if (!extension) return 'application/octet-stream';
+        const lower = extension.toLowerCase();
+        if (FONT_MIME_TYPES[lower]) return FONT_MIME_TYPES[lower];
+        const entry = Object.values(FORMATS).find(format => format.extensions.includes(lower));
+        return entry ? entry.mimeTypes[0] : 'application/octet-stream';
+    }
+
+    function getHref(element) {
+        return element.getAttribute('href') || element.getAttributeNS(XLINK_NS, 'href');
+    }
+
+    function setHref(element, value) {
+        if (element.hasAttribute('href')) element.setAttribute('href', value);
+        else element.setAttributeNS(XLINK_NS, 'xlink:href', value);
+    }
+
+    /**
+     * Base class for all converters
+     */
+    class BaseConverter {
+        constructor(options = {}) {
+            this.options = options;
+
+            // Accepted inputs and output type come from the declared metadata
+            const { metadata } = this.constructor;
+            if (metadata) {
+                const expanded = expandMetadata(this.constructor.name, metadata);
+                this.supportedInputs = expanded.supportedInputs;
+                this.outputType = expanded.outputMimeType;
+            }
+
+            // Every subclass's convert() resolves in options.resultFormat without formatting it itself
+            const convert = this.convert;
+            this.convert = async (...args) => this.formatResult(await convert.apply(this, args));
+        }
+
+        /**
+         * Converter description used by the registry. Subclasses override it:
+         * { label, category, inputs: ['png'], output: 'jpg', dependencies: ['PDFLib'],
+         *   options: { quality: { type: 'number', default: 0.9, min: 0.1, max: 1 } } }
+         */
+        static get metadata() {
+            return null;
+        }
+
+        log(message, data = null) {
+            if (this.options.enableLogging) {
+                console.log(`[${this.constructor.name}] ${message}`, data || '');
+            }
+        }
+
+        async convert(file) {
+            throw new Error('Convert method must be implemented by subclass');
+        }
+
+        // The result of convert() in the requested options.resultFormat; applied to every convert() call
+        async formatResult(result) {
+            return OmniConvertCore.formatResult(result, this.options.resultFormat);
+        }
+
+        async validateFile(file, allowedTypes) {
+            this.throwIfAborted();
+
+            const allowedFormats = allowedTypes.map(normalizeFormat).filter(Boolean);
+            const detected = await OmniConvertCore.detectFormat(file);
+
+            if (detected && detected.method !== 'declared') {
+                if (allowedFormats.includes(detected.format)) return detected;
+
+                // Text heuristics are weak evidence; trust a matching extension or MIME type
+                if (!(TEXT_FORMATS.includes(detected.format) && OmniConvertCore.validateFileType(file, allowedTypes))) {
+                    throw new UnsupportedInputError(`File content does not match expected type: ${file.name} contains ${detected.format.toUpperCase()} data. Expected: ${allowedTypes.join(', ')}`, {
+                        file, format: detected.format, expected: allowedTypes
+                    });
+                }
+                return detected;
+            }
+
+            if (!OmniConvertCore.validateFileType(file, allowedTypes)) {
+                throw new UnsupportedInputError(`Invalid file type. Expected: ${allowedTypes.join(', ')}`, {
+                    file, format: detected ? detected.format : null, expected: allowedTypes
+                });
+            }
+            return detected;
+        }
+
+        /**
+         * Report progress within the current file.
+         * stage: 'decode' | 'encode' | 'package' (or a converter-specific stage), progress: 0..1
+         */
+        reportProgress(stage, progress, details = {}) {
+            if (typeof this.options.progressReporter === 'function') {
+                this.options.progressReporter({ stage, progress, ...details });
+            }
+        }
+
+        // Throw if the conversion was cancelled through options.signal
+        throwIfAborted() {
+            const { signal } = this.options;
+            if (signal && signal.aborted) {
+                throw createAbortError(signal);
+            }
+        }
+
+        // Settle with the promise, or reject as soon as options.signal is aborted
+        withAbort(promise, onAbort = null) {
+            const { signal } = this.options;
+            if (!signal) return promise;
+
+            this.throwIfAborted();
+
+            return new Promise((resolve, reject) => {
+                const abort = () => {
+                    if (onAbort) onAbort();
+                    reject(createAbortError(signal));
+                };
+                signal.addEventListener('abort', abort, { once: true });
+
+                promise.then(resolve, reject).finally(() => {
+                    signal.removeEventListener('abort', abort);
+                });
+            });
+        }
+
+        async loadImage(file) {
+            // BMP and TIFF are decoded in JavaScript; browser support for them is patchy
+            const decoded = await this.decodeImage(file);
+            if (decoded) return decoded;
+
+            let img = null;
+
+            return this.withAbort(new Promise((resolve, reject) => {
+                img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new DecodeError(`Failed to load image: ${file.name}`, { file }));
+                img.src = URL.createObjectURL(file);
+            }), () => {
+                // Stop the in-flight decode and release the object URL
+                URL.revokeObjectURL(img.src);
+                img.onload = img.onerror = null;
+                img.src = '';
+            });
+        }
+
+        // Format of files handled by the built-in decoders, null for everything else
+        async builtinFormat(file) {
+            const format = detectBinaryFormat(new Uint8Array(await file.slice(0, 32).arrayBuffer()));
+            return format === 'bmp' || format === 'tiff' ? format : null;
+        }
+
+        /**
+         * Decode BMP and TIFF (page options.page) to a canvas with the built-in decoders.
+         * Resolves with null for formats left to the browser.
+         */
+        async decodeImage(file) {
+            const format = await this.builtinFormat(file);
+            if (!format) return null;
+
+            this.throwIfAborted();
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const image = format === 'bmp'
+                ? new BmpDecoder(bytes).decode()
+                : new TiffDecoder(bytes).decodePage(this.options.page || 0);
+            return this.imageDataToCanvas(image);
+        }
+
+        imageDataToCanvas({ width, height, data }) {
+            const canvas = this.createCanvas(width, height);
+            canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+            return canvas;
+        }
+
+        /**
+         * Parse an SVG and, unless options.inlineResources is false, embed external images, fonts
+         * and <use> sprites as data URIs: an SVG drawn through an <img> cannot load them.
+         * Resolves with { doc, width, height, failed } where width/height is the intrinsic size
+         * from width/height or viewBox and failed lists references that could not be fetched.
+         */
+        async prepareSvg(svgText, file = null) {
+            const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+            const root = doc.documentElement;
+            if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+                throw new DecodeError('Failed to parse SVG', { file });
+            }
+
+            const failed = this.options.inlineResources === false ? [] : await this.inlineSvgResources(doc);
+            const { width, height, viewBox } = svgIntrinsicSize(root);
+            // A viewBox lets the root be resized without cropping
+            if (!viewBox) root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+            return { doc, width, height, failed };
+        }
+
+        // The prepared SVG as an image/svg+xml blob whose root is width × height pixels
+        svgToBlob(svg, width, height) {
+            const root = svg.doc.documentElement;
+            root.setAttribute('width', width);
+            root.setAttribute('height', height);
+            return new Blob([new XMLSerializer().serializeToString(svg.doc)], { type: 'image/svg+xml' });
+        }
+
+        async inlineSvgResources(doc) {
+            const base = this.options.baseUrl || (typeof document !== 'undefined' ? document.baseURI : undefined);
+            const { signal } = this.options;
+            const responses = new Map();
+            const failed = [];
+            const isExternal = ref => Boolean(ref) && !/^\s*(data:|#)/i.test(ref);
+
+            const load = async (ref) => {
+                try {
+                    const url = new URL(ref.trim(), base).href;
+                    if (!responses.has(url)) {
+                        responses.set(url, fetch(url, { signal }).then(response => {
+                            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                            return response.blob();
+                        }));
+                    }
+                    return { url, blob: await responses.get(url) };
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    this.log(`Could not inline SVG resource ${ref}`, error);
+                    failed.push(ref);
+                    return null;
+                }
+            };
+
+            const toDataUri = async (ref) => {
+                const loaded = await load(ref);
+                if (!loaded) return null;
+                const type = loaded.blob.type || mimeTypeFromUrl(loaded.url);
+                return `data:${type};base64,${bytesToBase64(await toBytes(loaded.blob))}`;
+            };
+
+            // <use href="sprite.svg#icon">: copy the referenced element into <defs>
+            const imported = new Map();
+            let defs = null;
+            for (const use of Array.from(doc.getElementsByTagName('use'))) {
+                const ref = getHref(use);
+                if (!isExternal(ref)) continue;
+                const [location, id] = ref.split('#');
+                if (!id) continue;
+
+                if (!imported.has(ref)) {
+                    const loaded = await load(location);
+                    const sprite = loaded && new DOMParser().parseFromString(await loaded.blob.text(), 'image/svg+xml');
+                    const element = sprite && Array.from(sprite.getElementsByTagName('*')).find(node => node.getAttribute('id') === id);
+                    if (!element) {
+                        if (loaded) failed.push(ref);
+                        imported.set(ref, null);
+                        continue;
+                    }
+
+                    let localId = id;
+                    for (let n = 1; Array.from(doc.getElementsByTagName('*')).some(node => node.getAttribute('id') === localId); n++) {
+                        localId = `${id}-${n}`;
+                    }
+                    const copy = doc.importNode(element, true);
+                    copy.setAttribute('id', localId);
+                    if (!defs) {
+                        defs = doc.createElementNS(SVG_NS, 'defs');
+                        doc.documentElement.insertBefore(defs, doc.documentElement.firstChild);
+                    }
+                    defs.appendChild(copy);
+                    imported.set(ref, localId);
+                }
+                if (imported.get(ref)) setHref(use, `#${imported.get(ref)}`);
+            }
+
+            for (const element of [...Array.from(doc.getElementsByTagName('image')), ...Array.from(doc.getElementsByTagName('feImage'))]) {
+                const ref = getHref(element);
+                if (!isExternal(ref)) continue;
+                const uri = await toDataUri(ref);
+                if (uri) setHref(element, uri);
+            }
+
+            // url(...) in stylesheets and style attributes covers @font-face sources and CSS images
+            const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+            const inlineCss = async (css) => {
+                const uris = new Map();
+                for (const [, , ref] of css.matchAll(urlPattern)) {
+                    if (isExternal(ref) && !uris.has(ref)) uris.set(ref, await toDataUri(ref));
+                }
+                return css.replace(urlPattern, (match, quote, ref) => uris.get(ref) ? `url("${uris.get(ref)}")` : match);
+            };
+            for (const style of Array.from(doc.getElementsByTagName('style'))) {
+                style.textContent = await inlineCss(style.textContent);
+            }
+            for (const element of Array.from(doc.getElementsByTagName('*'))) {
+                const style = element.getAttribute('style');
+                if (style && style.includes('url(')) element.setAttribute('style', await inlineCss(style));
+            }
+
+            return failed;
+        }
+
+        /**
+         * Decode an image, turn it upright by its EXIF orientation, apply the transform options
+         * (resize, crop, rotate, flip), draw it over an optional background and encode it.
+         * JPEG output gets the source EXIF/ICC back according to options.metadata.
+         * Runs in the worker pool when one is configured, falling back to the main thread.
+         * Resolves with { blob, width, height, exif }; blob is null when the type cannot be encoded.
+         */
+        async renderImage(file, { type, quality, backgroundColor = null, transform = pickTransform(this.options) }) {
+            const pool = this.options.workerPool;
+            const source = await this.readImageMetadata(file);
+            const orientation = source ? source.orientation : 1;
+            const { maxBytes } = this.options;
+            const indexed = type === 'image/png' && this.options.colors;
+            const watermark = transform && transform.watermark;
+            let rendered = null;
+
+            // Size targeting re-encodes the same canvas many times, indexed PNGs need the pixels, watermarks
+            // may need the DOM to load their logo, and workers can only decode what createImageBitmap supports,
+            // so those stay on the main thread
+            if (pool && !maxBytes && !indexed && !watermark && !(await this.builtinFormat(file))) {
+                try {
+                    this.reportProgress('decode', 0, { worker: true });
+                    rendered = await pool.run({ blob: file, type, quality, backgroundColor, transform, orientation }, this.options.signal);
+                    this.reportProgress('encode', 1, { worker: true });
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    this.log(`Worker rendering failed for ${file.name}, using main thread`, error);
+                }
+            }
+
+            if (!rendered) {
+                this.reportProgress('decode', 0);
+                const img = await this.loadImage(file);
+                this.reportProgress('decode', 1, { width: img.width, height: img.height });
+
+                const upright = await this.orientImage(img, img.width, img.height, orientation);
+                const canvas = await this.applyWatermark(this.transformImage(upright, upright.width, upright.height, transform, backgroundColor), watermark);
+                URL.revokeObjectURL(img.src);
+
+                this.reportProgress('encode', 0);
+                if (maxBytes) {
+                    // Kept EXIF and ICC count towards the budget, so each attempt is measured with them
+                    rendered = await this.encodeToSize(canvas, type, quality, file, blob => this.embedMetadata(blob, source));
+                    rendered.metadataEmbedded = true;
+                } else if (indexed) {
+                    rendered = await this.encodePngCanvas(canvas);
+                } else {
+                    const blob = await this.canvasToBlob(canvas, type, quality);
+                    rendered = { blob, width: canvas.width, height: canvas.height };
+                }
+                this.reportProgress('encode', 1);
+            }
+
+            const { metadataEmbedded, ...result } = rendered;
+            return {
+                ...result,
+                blob: metadataEmbedded ? result.blob : await this.embedMetadata(result.blob, source),
+                exif: source ? source.exif : null
+            };
+        }
+
+        // EXIF fields, orientation and raw EXIF/ICC segments of a JPEG input; null for other formats
+        async readImageMetadata(file) {
+            // APP segments sit at the start; EXIF is capped at 64 KB, ICC profiles rarely exceed 1 MB
+            const bytes = new Uint8Array(await file.slice(0, 1024 * 1024).arrayBuffer());
+            if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+            return readJpegMetadata(bytes);
+        }
+
+        // Turn stored pixels upright unless the browser decoder already applied the orientation
+        async orientImage(source, width, height, orientation) {
+            if (orientation <= 1 || await decoderAppliesOrientation()) return source;
+            return this.transformImage(source, width, height, orientationTransform(orientation));
+        }
+
+        /**
+         * Re-attach source metadata to JPEG or PNG output following options.metadata:
+         * 'strip' (default) drops it, 'keep' restores EXIF and ICC, 'keep-safe' also removes GPS,
+         * serial numbers and other identifying tags. Orientation is reset since pixels are upright.
+         */
+        async embedMetadata(blob, source) {
+            const mode = this.options.metadata || 'strip';
+            if (!blob || !source || mode === 'strip' || !['image/jpeg', 'image/png'].includes(blob.type)) return blob;
+            if (!source.exifData && source.iccSegments.length === 0) return blob;
+
+            let exif = null;
+            if (source.exifData) {
+                try {
+                    exif = sanitizeExif(source.exifData, { removePrivate: mode === 'keep-safe' });
+                } catch (error) {
+                    // Never copy EXIF that could not be sanitized
+                    this.log('Dropping malformed EXIF data', error);
+                }
+            }
+
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+
+            if (blob.type === 'image/png') {
+                const chunks = [];
+                const replaced = ['eXIf'];
+                if (exif) chunks.push(buildPngChunk('eXIf', exif));
+                if (source.iccSegments.length > 0 && typeof CompressionStream !== 'undefined') {
+                    const profile = await compressBytes(joinIccSegments(source.iccSegments), 'deflate');
+                    const data = new Uint8Array(profile.length + 5);
+                    data.set([0x49, 0x43, 0x43, 0, 0]); // Profile name 'ICC', deflate
+                    data.set(profile, 5);
+                    chunks.push(buildPngChunk('iCCP', data));
+                    // A PNG may carry either an ICC profile or the sRGB flag
+                    replaced.push('iCCP', 'sRGB');
+                }
+                return new Blob([injectPngChunks(bytes, chunks, replaced)], { type: blob.type });
+            }
+
+            const segments = [...source.iccSegments];
+            if (exif) {
+                const payload = new Uint8Array(exif.length + 6);
+                payload.set([0x45, 0x78, 0x69, 0x66, 0, 0]); // 'Exif\0\0'
+                payload.set(exif, 6);
+                segments.unshift(buildJpegSegment(0xE1, payload));
+            }
+            return new Blob([injectJpegSegments(bytes, segments)], { type: blob.type });
+        }
+
+        // Draw an image source onto a new canvas with the given transform (see planTransform)
+        transformImage(source, width, height, transform = null, backgroundColor = null) {
+            const plan = planTransform(width, height, transform || {});
+            return drawTransformed(source, plan, (w, h) => this.createCanvas(w, h), backgroundColor);
+        }
+
+        /**
+         * Draw a normalized watermark (see normalizeWatermark) over a canvas and return the canvas.
+         * Text uses the canvas font stack; logos may be Blobs, URLs, SVG markup or anything drawImage accepts.
+         */
+        async applyWatermark(canvas, mark) {
+            if (!mark) return canvas;
+
+            const ctx = canvas.getContext('2d');
+            let boxWidth;
+            let boxHeight;
+            let draw;
+            let logo = null;
+
+            if (mark.text) {
+                const fontSize = mark.fontSize || Math.max(12, Math.round(Math.min(canvas.width, canvas.height) * 0.05));
+                ctx.font = `${mark.fontWeight} ${fontSize}px ${mark.font}`;
+                boxWidth = ctx.measureText(mark.text).width;
+                boxHeight = fontSize;
+                draw = () => {
+                    ctx.fillStyle = mark.color;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(mark.text, 0, 0);
+                };
+            } else {
+                boxWidth = mark.width || Math.max(1, Math.round(canvas.width * 0.2));
+                logo = await this.loadWatermarkImage(mark.image, boxWidth);
+                boxHeight = boxWidth * logo.height / logo.width;
+                draw = () => ctx.drawImage(logo, -boxWidth / 2, -boxHeight / 2, boxWidth, boxHeight);
+            }
+
+            ctx.save();
+            // drawTransformed leaves its centring transform on the context
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = mark.opacity;
+            for (const { x, y } of watermarkPlacements(canvas.width, canvas.height, boxWidth, boxHeight, mark)) {
+                ctx.save();
+                ctx.translate(x, y);
+                ctx.rotate(mark.rotate * Math.PI / 180);
+                draw();
+                ctx.restore();
+            }
+            ctx.restore();
+
+            if (logo && logo !== mark.image) URL.revokeObjectURL(logo.src);
+            return canvas;
+        }
+
+        // Watermark logo ready for drawImage; SVG logos are rasterized at the given width
+        async loadWatermarkImage(source, width) {
+            if (typeof source !== 'string' && !(source instanceof Blob)) return source;
+
+            let blob = source;
+            if (typeof source === 'string' && source.trim().startsWith('<')) {
+                blob = new Blob([source], { type: 'image/svg+xml' });
+            } else if (typeof source === 'string') {
+                try {
+                    const response = await this.withAbort(fetch(source, { signal: this.options.signal }));
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    blob = await response.blob();
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    throw new DecodeError(`Failed to load watermark image: ${source}`, { cause: error });
+                }
+            }
+
+            const detected = await OmniConvertCore.detectFormat(blob);
+            if (detected && detected.format === 'svg') {
+                const svg = await this.prepareSvg(await blob.text());
+                return this.loadImage(this.svgToBlob(svg, width, Math.max(1, Math.round(width * svg.height / svg.width))));
+            }
+            return this.loadImage(blob);
+        }
+
+        // Apply options.adjustments to a canvas drawn outside transformImage (animation frames, PDF pages)
+        adjustCanvas(canvas) {
+            const steps = normalizeAdjustments(this.options.adjustments);
+            return steps ? applyAdjustments(canvas, steps, (w, h) => this.createCanvas(w, h)) : canvas;
+        }
+
+        /**
+         * Encode a canvas under options.maxBytes. Quality is binary-searched between
+         * options.minQuality and maxQuality; with options.allowDownscale the canvas is then
+         * shrunk step by step. finish(blob) post-processes every attempt (e.g. adds metadata)
+         * before it is measured. Resolves with { blob, width, height, quality, scale, attempts }.
+         */
+        async encodeToSize(canvas, type, maxQuality = 0.9, file = null, finish = blob => blob) {
+            const { maxBytes, minQuality = 0.4, allowDownscale = false } = this.options;
+            const lossy = type !== 'image/png';
+            let attempts = 0;
+            let scale = 1;
+            let current = canvas;
+
+            const encode = async (quality) => {
+                attempts++;
+                const blob = await finish(await this.canvasToBlob(current, type, quality));
+                this.reportProgress('encode', Math.min(attempts / 12, 0.95), { attempt: attempts, quality, scale, size: blob && blob.size });
+                return blob;
+            };
+            const result = (blob, quality) => ({ blob, width: current.width, height: current.height, quality, scale: Math.round(scale * 1000) / 1000, attempts });
+
+            for (;;) {
+                const best = await encode(maxQuality);
+                if (!best || best.size <= maxBytes) return result(best, maxQuality);
+
+                let smallest = best;
+                if (lossy) {
+                    smallest = await encode(Math.min(minQuality, maxQuality));
+                    if (smallest.size <= maxBytes) {
+                        // Highest quality that still fits, to within 0.02
+                        let low = Math.min(minQuality, maxQuality);
+                        let high = maxQuality;
+                        let fit = smallest;
+                        while (high - low > 0.02) {
+                            const middle = (low + high) / 2;
+                            const blob = await encode(middle);
+                            if (blob.size <= maxBytes) {
+                                low = middle;
+                                fit = blob;
+                            } else {
+                                high = middle;
+                            }
+                        }
+                        return result(fit, Math.round(low * 1000) / 1000);
+                    }
+                }
+
+                // Area shrinks roughly in proportion to the bytes that have to go
+                const step = Math.min(0.9, Math.max(0.5, Math.sqrt(maxBytes / smallest.size) * 0.95));
+                const nextWidth = Math.round(canvas.width * scale * step);
+                const nextHeight = Math.round(canvas.height * scale * step);
+
+                if (!allowDownscale || nextWidth < 1 || nextHeight < 1) {
+                    throw new LimitExceededError(
+                        `Cannot encode ${file ? file.name : 'image'} under ${OmniConvertCore.formatFileSize(maxBytes)}: ` +
+                        `smallest result is ${OmniConvertCore.formatFileSize(smallest.size)}` +
+                        (allowDownscale ? '' : '; enable allowDownscale to reduce dimensions'),
+                        { file, limit: 'maxBytes', maxBytes, size: smallest.size, attempts }
+                    );
+                }
+
+                scale *= step;
+                current = this.transformImage(canvas, canvas.width, canvas.height, { width: nextWidth, height: nextHeight, fit: 'fill' });
+            }
+        }
+
+        // Encode a canvas; resolves with null when the browser cannot encode the type
+        async canvasToBlob(canvas, type, quality) {
+            return this.withAbort(new Promise(resolve => {
+                canvas.toBlob(resolve, type, quality);
+            }));
+        }
+
+        // Encode a canvas with the built-in PNG encoder, quantized when options.colors is set
+        async encodePngCanvas(canvas) {
+            const { colors = null, dither = false } = this.options;
+            const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            const { bytes, colorCount } = await this.withAbort(encodePng(pixels, { colors, dither }));
+            return { blob: new Blob([bytes], { type: 'image/png' }), width: canvas.width, height: canvas.height, colorCount };
+        }
+
+        createCanvas(width, height) {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+    }
+
+    /**
+     * CODECS
+     */
+
+    // Histogram keys for quantizeImage: 5 bits per color channel, plus 3 bits of alpha when it is quantized too
+    function paletteKeySpace(alpha) {
+        const alphaBits = alpha ? 3 : 0;
+        return {
+            size: 1 << (15 + alphaBits),
+            channels: alpha ? 4 : 3,
+            key: (r, g, b, a) => ((r >> 3) << (10 + alphaBits)) | ((g >> 3) << (5 + alphaBits)) | ((b >> 3) << alphaBits) | (alpha ? a >> 5 : 0),
+            // Channel value of a key on a common 0-31 scale
+            channel: (key, c) => c < 3 ? (key >> (alphaBits + 10 - c * 5)) & 31 : (key & 7) << 2
+        };
+    }
+
+    /**
+     * Reduce RGBA pixels to a palette of at most maxColors with median cut.
+     * Pixels with alpha below alphaThreshold map to a dedicated transparent index. With `alpha` the
+     * cut runs over RGBA, so semi-transparent pixels (anti-aliased edges) get entries with their own
+     * opacity; the threshold then defaults to 1 and translucent entries come first (a short PNG tRNS).
+     * Returns { palette: Uint8Array (RGB triplets), alphas: Uint8Array | null, indices: Uint8Array, colorCount, transparentIndex }.
+     */
+    function quantizeImage(rgba, width, height, options = {}) {
+        const { maxColors = 256, dither = false, alpha = false } = options;
+        const alphaThreshold = options.alphaThreshold ?? (alpha ? 1 : 128);
+        const pixelCount = width * height;
+        const space = paletteKeySpace(alpha);
+        const { channels, channel } = space;
+
+        // Histogram of 5-bit-per-channel colors, with exact channel sums for the averages
+        const histogram = new Uint32Array(space.size);
+        const sums = new Float64Array(space.size * channels);
+        let hasTransparency = false;
+        for (let i = 0; i < pixelCount; i++) {
+            const p = i * 4;
+            if (rgba[p + 3] < alphaThreshold) {
+                hasTransparency = true;
+                continue;
+            }
+            const key = space.key(rgba[p], rgba[p + 1], rgba[p + 2], rgba[p + 3]);
+            histogram[key]++;
+            for (let c = 0; c < channels; c++) sums[key * channels + c] += rgba[p + c];
+        }
+
+        const colors = [];
+        for (let key = 0; key < space.size; key++) {
+            if (histogram[key] > 0) colors.push(key);
+        }
+
+        const limit = Math.max(1, Math.min(256, maxColors) - (hasTransparency ? 1 : 0));
+
+        // Split the box with the widest, most populated channel range until the palette is full
+        const boxes = [{ colors, start: 0, end: colors.length }];
+        while (boxes.length < limit) {
+            let best = null;
+            let bestScore = 0;
+
+            for (const box of boxes) {
+                if (box.end - box.start < 2) continue;
+                const min = new Array(channels).fill(31);
+                const max = new Array(channels).fill(0);
+                let count = 0;
+                for (let i = box.start; i < box.end; i++) {
+                    const key = colors[i];
+                    for (let c = 0; c < channels; c++) {
+                        const value = channel(key, c);
+                        if (value < min[c]) min[c] = value;
+                        if (value > max[c]) max[c] = value;
+                    }
+                    count += histogram[key];
+                }
+                const ranges = max.map((value, c) => value - min[c]);
+                const axis = ranges.indexOf(Math.max(...ranges));
+                const score = ranges[axis] * Math.sqrt(count);
+                if (ranges[axis] > 0 && score > bestScore) {
+                    bestScore = score;
+                    best = { box, axis };
+                }
+            }
+            if (!best) break;
+
+            const { box, axis } = best;
+            const slice = colors.slice(box.start, box.end).sort((a, b) => channel(a, axis) - channel(b, axis));
+            for (let i = 0; i < slice.length; i++) colors[box.start + i] = slice[i];
+
+            // Median by pixel count
+            let total = 0;
+            for (let i = box.start; i < box.end; i++) total += histogram[colors[i]];
+            let running = 0;
+            let split = box.start + 1;
+            for (let i = box.start; i < box.end - 1; i++) {
+                running += histogram[colors[i]];
+                split = i + 1;
+                if (running >= total / 2) break;
+            }
+
+            boxes.splice(boxes.indexOf(box), 1,
+                { colors, start: box.start, end: split },
+                { colors, start: split, end: box.end });
+        }
+
+        // Palette entries are the pixel-weighted average of each box
+        const entries = [];
+        for (const box of boxes) {
+            if (box.end <= box.start) continue;
+            const totals = new Array(channels).fill(0);
+            let count = 0;
+            for (let i = box.start; i < box.end; i++) {
+                const key = colors[i];
+                for (let c = 0; c < channels; c++) totals[c] += sums[key * channels + c];
+                count += histogram[key];
+            }
+            entries.push(totals.map(total => Math.round(total / count)));
+        }
+
+        // GIF keeps the transparent entry last; PNG wants every non-opaque entry before the opaque ones
+        const transparent = [0, 0, 0, 0];
+        if (alpha) {
+            entries.sort((a, b) => a[3] - b[3]);
+            if (hasTransparency) entries.unshift(transparent);
+        } else if (hasTransparency) {
+            entries.push(transparent);
+        }
+        const transparentIndex = entries.indexOf(transparent);
+
+        const palette = new Uint8Array(entries.length * 3);
+        const alphas = alpha ? new Uint8Array(entries.length) : null;
+        entries.forEach((entry, index) => {
+            palette.set(entry.slice(0, 3), index * 3);
+            if (alphas) alphas[index] = entry[3];
+        });
+
+        const indices = mapToPalette(rgba, width, height, palette, { dither, alphaThreshold, transparentIndex, alphas });
+
+        return { palette, alphas, indices, colorCount: entries.length - (hasTransparency ? 1 : 0), transparentIndex };
+    }
+
+    /**
+     * Map RGBA pixels to the nearest palette entry, optionally with Floyd–Steinberg error diffusion.
+     * With `alphas` (one alpha per entry) the distance and the diffused error include alpha.
+     */
+    function mapToPalette(rgba, width, height, palette, { dither = false, alphaThreshold = 128, transparentIndex = -1, alphas = null } = {}) {
+        const indices = new Uint8Array(width * height);
+        const space = paletteKeySpace(Boolean(alphas));
+        const { channels } = space;
+        const entryCount = palette.length / 3;
+        const cache = new Int16Array(space.size).fill(-1);
+
+        const nearest = (r, g, b, a) => {
+            const key = space.key(r, g, b, a);
+            if (cache[key] >= 0) return cache[key];
+
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < entryCount; i++) {
+                if (i === transparentIndex) continue;
+                const dr = palette[i * 3] - r;
+                const dg = palette[i * 3 + 1] - g;
+                const db = palette[i * 3 + 2] - b;
+                const da = alphas ? alphas[i] - a : 0;
+                const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3 + da * da * 4;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            cache[key] = best;
+            return best;
+        };
+
+        // Error rows for the current and next scanline
+        let current = dither ? new Float32Array((width + 2) * channels) : null;
+        let next = dither ? new Float32Array((width + 2) * channels) : null;
+        const clamp = value => value < 0 ? 0 : value > 255 ? 255 : value;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const p = i * 4;
+
+                if (transparentIndex >= 0 && rgba[p + 3] < alphaThreshold) {
+                    indices[i] = transparentIndex;
+                    continue;
+                }
+
+                if (!dither) {
+                    indices[i] = nearest(rgba[p], rgba[p + 1], rgba[p + 2], rgba[p + 3]);
+                    continue;
+                }
+
+                const e = (x + 1) * channels;
+                const values = [];
+                for (let c = 0; c < channels; c++) values.push(clamp(rgba[p + c] + current[e + c]));
+                const index = nearest(values[0] | 0, values[1] | 0, values[2] | 0, channels === 4 ? values[3] | 0 : 255);
+                indices[i] = index;
+
+                for (let c = 0; c < channels; c++) {
+                    const error = values[c] - (c < 3 ? palette[index * 3 + c] : alphas[index]);
+                    current[e + channels + c] += error * 7 / 16;
+                    next[e - channels + c] += error * 3 / 16;
+                    next[e + c] += error * 5 / 16;
+                    next[e + channels + c] += error / 16;
+                }
+            }
+
+            if (dither) {
+                [current, next] = [next, current];
+                next.fill(0);
+            }
+        }
+
+        return indices;
+    }
+
+    // GIF variable-length LZW compression of palette indices
+    function lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let buffer = 0;
+        let bits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) output.push(buffer & 0xFF);
+
+        return new Uint8Array(output);
+    }
+
+    // Inverse of lzwEncode; fills exactly pixelCount indices
+    function lzwDecode(data, minCodeSize, pixelCount) {
+        const output = new Uint8Array(pixelCount);
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const prefix = new Uint16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+
+        let codeSize = minCodeSize + 1;
+        let codeMask = (1 << codeSize) - 1;
+        let nextCode = endCode + 1;
+        let previous = -1;
+        let first = 0;
+        let buffer = 0;
+        let bits = 0;
+        let position = 0;
+        let written = 0;
+
+        while (written < pixelCount) {
+            while (bits < codeSize && position < data.length) {
+                buffer |= data[position++] << bits;
+                bits += 8;
+            }
+            if (bits < codeSize) break;
+
+            let code = buffer & codeMask;
+            buffer >>>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                codeMask = (1 << codeSize) - 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) break;
+
+            if (previous === -1) {
+                output[written++] = code;
+                previous = first = code;
+                continue;
+            }
+
+            const inCode = code;
+            let top = 0;
+            if (code >= nextCode) {
+                // The code being defined right now (KwKwK case)
+                stack[top++] = first;
+                code = previous;
+            }
+            while (code > endCode) {
+                stack[top++] = suffix[code];
+                code = prefix[code];
+            }
+            first = code;
+            stack[top++] = first;
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                nextCode++;
+                if (nextCode === (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                    codeMask = (1 << codeSize) - 1;
+                }
+            }
+            previous = inCode;
+
+            while (top > 0 && written < pixelCount) {
+                output[written++] = stack[--top];
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Animated GIF encoder. Frames are quantized and LZW-compressed as they are added,
+     * so only the compressed output is kept in memory.
+     */
+    class GifEncoder {
+        constructor(width, height, options = {}) {
+            this.width = width;
+            this.height = height;
+            this.loop = options.loop === undefined ? 0 : options.loop;
+            this.colors = options.colors || 256;
+            this.dither = options.dither || false;
+            this.chunks = [];
+            this.frameCount = 0;
+            // Milliseconds lost or gained by rounding earlier delays to centiseconds
+            this.delayError = 0;
+            this.writeHeader();
+        }
+
+        writeHeader() {
+            const header = new Uint8Array(13);
+            header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+            header[6] = this.width & 0xFF;
+            header[7] = this.width >> 8;
+            header[8] = this.height & 0xFF;
+            header[9] = this.height >> 8;
+            // No global color table: every frame carries its own palette
+            this.chunks.push(header);
+
+            // NETSCAPE2.0 extension: loop count, 0 = forever; omitted to play once
+            if (this.loop !== false && this.loop !== null) {
+                const loop = new Uint8Array(19);
+                loop.set([0x21, 0xFF, 0x0B, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30, 0x03, 0x01]);
+                loop[16] = this.loop & 0xFF;
+                loop[17] = (this.loop >> 8) & 0xFF;
+                this.chunks.push(loop);
+            }
+        }
+
+        /**
+         * Add an RGBA frame (ImageData.data or any byte array of width * height * 4).
+         * options: { delay (ms), dither, colors }. GIF delays are whole centiseconds; the rounding
+         * error carries over to the next frame, so 30 fps alternates 3 and 4 cs and keeps its length.
+         */
+        addFrame(rgba, options = {}) {
+            const wanted = (options.delay === undefined ? 100 : options.delay) + this.delayError;
+            const delay = Math.max(0, Math.round(wanted / 10));
+            this.delayError = wanted - delay * 10;
+            const { palette, indices, transparentIndex } = quantizeImage(rgba, this.width, this.height, {
+                maxColors: options.colors || this.colors,
+                dither: options.dither === undefined ? this.dither : options.dither
+            });
+
+            // Palette length must be a power of two between 2 and 256
+            const entries = palette.length / 3;
+            let tableBits = 1;
+            while ((1 << tableBits) < entries) tableBits++;
+            const table = new Uint8Array((1 << tableBits) * 3);
+            table.set(palette);
+
+            const control = new Uint8Array(8);
+            control.set([0x21, 0xF9, 0x04]);
+            // Disposal 2 (restore to background) when transparent so frames don't pile up
+            control[3] = (transparentIndex >= 0 ? (2 << 2) | 1 : (1 << 2));
+            control[4] = delay & 0xFF;
+            control[5] = (delay >> 8) & 0xFF;
+            control[6] = transparentIndex >= 0 ? transparentIndex : 0;
+
+            const descriptor = new Uint8Array(10);
+            descriptor[0] = 0x2C;
+            descriptor[5] = this.width & 0xFF;
+            descriptor[6] = this.width >> 8;
+            descriptor[7] = this.height & 0xFF;
+            descriptor[8] = this.height >> 8;
+            descriptor[9] = 0x80 | (tableBits - 1); // Local color table
+
+            const minCodeSize = Math.max(2, tableBits);
+            const compressed = lzwEncode(indices, minCodeSize);
+
+            // Image data in sub-blocks of up to 255 bytes
+            const blocks = new Uint8Array(1 + compressed.length + Math.ceil(compressed.length / 255) + 1);
+            let offset = 0;
+            blocks[offset++] = minCodeSize;
+            for (let i = 0; i < compressed.length; i += 255) {
+                const size = Math.min(255, compressed.length - i);
+                blocks[offset++] = size;
+                blocks.set(compressed.subarray(i, i + size), offset);
+                offset += size;
+            }
+            blocks[offset++] = 0;
+
+            this.chunks.push(control, descriptor, table, blocks.subarray(0, offset));
+            this.frameCount++;
+        }
+
+        // Close the stream and return the GIF
+        finish() {
+            this.chunks.push(new Uint8Array([0x3B]));
+            return new Blob(this.chunks, { type: 'image/gif' });
+        }
+    }
+
+    /**
+     * GIF decoder producing fully composed RGBA frames:
+     * [{ data: Uint8ClampedArray, width, height, delay (ms), index }]
+     */
+    class GifDecoder {
+        constructor(bytes) {
+            this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+            this.position = 0;
+            this.loop = null;
+            this.parseHeader();
+        }
+
+        static async fromFile(file) {
+            return new GifDecoder(new Uint8Array(await file.arrayBuffer()));
+        }
+
+        readByte() {
+            if (this.position >= this.bytes.length) {
+                throw new ParseError('Unexpected end of GIF data', { format: 'gif' });
+            }
+            return this.bytes[this.position++];
+        }
+
+        readUint16() {
+            const value = this.bytes[this.position] | (this.bytes[this.position + 1] << 8);
+            this.position += 2;
+            return value;
+        }
+
+        readColorTable(size) {
+            const table = this.bytes.subarray(this.position, this.position + size * 3);
+            this.position += size * 3;
+            return table;
+        }
+
+        // Concatenate data sub-blocks up to the zero terminator
+        readSubBlocks() {
+            const parts = [];
+            let total = 0;
+            for (let size = this.readByte(); size > 0; size = this.readByte()) {
+                parts.push(this.bytes.subarray(this.position, this.position + size));
+                this.position += size;
+                total += size;
+            }
+            const data = new Uint8Array(total);
+            let offset = 0;
+            for (const part of parts) {
+                data.set(part, offset);
+                offset += part.length;
+            }
+            return data;
+        }
+
+        parseHeader() {
+            const signature = bytesToAscii(this.bytes, 0, 6);
+            if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+                throw new ParseError('Not a GIF file', { format: 'gif' });
+            }
+            this.position = 6;
+            this.width = this.readUint16();
+            this.height = this.readUint16();
+            const packed = this.readByte();
+            this.backgroundIndex = this.readByte();
+            this.readByte(); // Pixel aspect ratio
+            this.globalColorTable = packed & 0x80 ? this.readColorTable(1 << ((packed & 0x07) + 1)) : null;
+            this.framesStart = this.position;
+        }
+
+        // Frame count, total duration (ms) and transparency without decoding any pixels
+        scanFrames() {
+            let frameCount = 0;
+            let duration = 0;
+            let transparent = false;
+            let delay = 0;
+            this.position = this.framesStart;
+
+            while (this.position < this.bytes.length) {
+                const block = this.readByte();
+                if (block === 0x3B) break;
+
+                if (block === 0x21) {
+                    const label = this.readByte();
+                    if (label === 0xF9) {
+                        this.readByte(); // Block size
+                        const packed = this.readByte();
+                        delay = this.readUint16() * 10;
+                        this.position += 2; // Transparent index, terminator
+                        if (packed & 0x01) transparent = true;
+                    } else if (label === 0xFF) {
+                        const data = this.readSubBlocks();
+                        if (bytesToAscii(data, 0, 11) === 'NETSCAPE2.0' && data[11] === 1) {
+                            this.loop = data[12] | (data[13] << 8);
+                        }
+                    } else {
+                        this.readSubBlocks();
+                    }
+                    continue;
+                }
+
+                if (block !== 0x2C) {
+                    throw new ParseError(`Unknown GIF block 0x${block.toString(16)}`, { format: 'gif' });
+                }
+                this.position += 8; // Frame position and size
+                const packed = this.readByte();
+                if (packed & 0x80) this.position += 3 << ((packed & 0x07) + 1);
+                this.readByte(); // LZW minimum code size
+                this.readSubBlocks();
+
+                frameCount++;
+                duration += delay || 100;
+                delay = 0;
+            }
+
+            return { frameCount, duration, transparent };
+        }
+
+        // Decode every frame; onFrame(frame) is called as each one is composed
+        decodeFrames(onFrame = null) {
+            const frames = [];
+            const canvas = new Uint8ClampedArray(this.width * this.height * 4);
+            let control = { disposal: 0, transparentIndex: -1, delay: 0 };
+            this.position = this.framesStart;
+
+            while (this.position < this.bytes.length) {
+                const block = this.readByte();
+
+                if (block === 0x3B) break;
+
+                if (block === 0x21) {
+                    const label = this.readByte();
+                    if (label === 0xF9) {
+                        this.readByte(); // Block size
+                        const packed = this.readByte();
+                        const delay = this.readUint16();
+                        const transparentIndex = this.readByte();
+                        this.readByte(); // Terminator
+                        control = {
+                            disposal: (packed >> 2) & 0x07,
+                            transparentIndex: packed & 0x01 ? transparentIndex : -1,
+                            delay: delay * 10
+                        };
+                    } else if (label === 0xFF) {
+                        const data = this.readSubBlocks();
+                        if (bytesToAscii(data, 0, 11) === 'NETSCAPE2.0' && data[11] === 1) {
+                            this.loop = data[12] | (data[13] << 8);
+                        }
+                    } else {
+                        this.readSubBlocks();
+                    }
+                    continue;
+                }
+
+                if (block !== 0x2C) {
+                    throw new ParseError(`Unknown GIF block 0x${block.toString(16)}`, { format: 'gif' });
+                }
+
+                const left = this.readUint16();
+                const top = this.readUint16();
+                const width = this.readUint16();
+                const height = this.readUint16();
+                const packed = this.readByte();
+                const colorTable = packed & 0x80 ? this.readColorTable(1 << ((packed & 0x07) + 1)) : this.globalColorTable;
+                const interlaced = (packed & 0x40) !== 0;
+                const minCodeSize = this.readByte();
+                const indices = lzwDecode(this.readSubBlocks(), minCodeSize, width * height);
+
+                if (!colorTable) {
+                    throw new ParseError('GIF frame has no color table', { format: 'gif' });
+                }
+
+                const previous = control.disposal === 3 ? canvas.slice() : null;
+                const rows = interlaced ? GifDecoder.interlacedRows(height) : null;
+
+                for (let y = 0; y < height; y++) {
+                    const targetY = top + (rows ? rows[y] : y);
+                    if (targetY >= this.height) continue;
+
+                    for (let x = 0; x < width; x++) {
+                        const targetX = left + x;
+                        const index = indices[y * width + x];
+                        if (targetX >= this.width || index === control.transparentIndex) continue;
+
+                        const p = (targetY * this.width + targetX) * 4;
+                        canvas[p] = colorTable[index * 3];
+                        canvas[p + 1] = colorTable[index * 3 + 1];
+                        canvas[p + 2] = colorTable[index * 3 + 2];
+                        canvas[p + 3] = 255;
+                    }
+                }
+
+                const frame = {
+                    index: frames.length,
+                    width: this.width,
+                    height: this.height,
+                    delay: control.delay || 100,
+                    data: canvas.slice()
+                };
+                frames.push(frame);
+                if (onFrame) onFrame(frame);
+
+                // Dispose before the next frame
+                if (control.disposal === 2) {
+                    for (let y = top; y < Math.min(top + height, this.height); y++) {
+                        canvas.fill(0, (y * this.width + left) * 4, (y * this.width + Math.min(left + width, this.width)) * 4);
+                    }
+                } else if (control.disposal === 3 && previous) {
+                    canvas.set(previous);
+                }
+                control = { disposal: 0, transparentIndex: -1, delay: 0 };
+            }
+
+            return frames;
+        }
+
+        // Row order of an interlaced image: every 8th from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+        static interlacedRows(height) {
+            const rows = [];
+            for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+                for (let y = start; y < height; y += step) rows.push(y);
+            }
+            return rows;
+        }
+    }
+
+    // Names for the EXIF tags worth exposing; others are skipped
+    const EXIF_TAGS = {
+        0x010E: 'ImageDescription', 0x010F: 'Make', 0x0110: 'Model', 0x0112: 'Orientation',
+        0x011A: 'XResolution', 0x011B: 'YResolution', 0x0128: 'ResolutionUnit', 0x0131: 'Software',
+        0x0132: 'DateTime', 0x013B: 'Artist', 0x8298: 'Copyright',
+        0x829A: 'ExposureTime', 0x829D: 'FNumber', 0x8822: 'ExposureProgram', 0x8827: 'ISOSpeedRatings',
+        0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized', 0x9010: 'OffsetTime', 0x9011: 'OffsetTimeOriginal',
+        0x9201: 'ShutterSpeedValue', 0x9202: 'ApertureValue', 0x9204: 'ExposureBiasValue',
+        0x9207: 'MeteringMode', 0x9209: 'Flash', 0x920A: 'FocalLength', 0xA001: 'ColorSpace',
+        0xA002: 'PixelXDimension', 0xA003: 'PixelYDimension', 0xA402: 'ExposureMode', 0xA403: 'WhiteBalance',
+        0xA405: 'FocalLengthIn35mmFilm', 0xA406: 'SceneCaptureType', 0xA420: 'ImageUniqueID',
+        0xA430: 'CameraOwnerName', 0xA431: 'BodySerialNumber', 0xA432: 'LensSpecification',
+        0xA433: 'LensMake', 0xA434: 'LensModel', 0xA435: 'LensSerialNumber'
+    };
+
+    const GPS_TAGS = {
+        0x00: 'GPSVersionID', 0x01: 'GPSLatitudeRef', 0x02: 'GPSLatitude', 0x03: 'GPSLongitudeRef',
+        0x04: 'GPSLongitude', 0x05: 'GPSAltitudeRef', 0x06: 'GPSAltitude', 0x07: 'GPSTimeStamp',
+        0x10: 'GPSImgDirectionRef', 0x11: 'GPSImgDirection', 0x1D: 'GPSDateStamp'
+    };
+
+    const EXIF_IFD_POINTER = 0x8769;
+    const GPS_IFD_POINTER = 0x8825;
+
+    // Tags that identify the owner or the device: MakerNote, unique ID, owner name and serial numbers
+    const PRIVATE_EXIF_TAGS = [0x927C, 0xA420, 0xA430, 0xA431, 0xA435, 0xC62F];
+
+    // Byte size of each TIFF field type
+    const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+    function readIfdEntries(view, offset, little) {
+        if (offset + 2 > view.byteLength) {
+            throw new ParseError('TIFF directory out of bounds', { format: 'tiff' });
+        }
+        const entryCount = view.getUint16(offset, little);
+        if (offset + 2 + entryCount * 12 + 4 > view.byteLength) {
+            throw new ParseError('TIFF directory out of bounds', { format: 'tiff' });
+        }
+
+        const entries = [];
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const type = view.getUint16(entryOffset + 2, little);
+            const count = view.getUint32(entryOffset + 4, little);
+            const size = (EXIF_TYPE_SIZES[type] || 0) * count;
+            entries.push({
+                tag: view.getUint16(entryOffset, little),
+                type,
+                count,
+                entryOffset,
+                // Values of up to four bytes are stored inside the entry itself
+                valueOffset: size <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, little),
+                size
+            });
+        }
+        return entries;
+    }
+
+    function readExifValue(view, entry, little) {
+        const { type, count, valueOffset, size } = entry;
+        // UNDEFINED blobs (MakerNote, UserComment) and unknown types are not decoded
+        if (type === 7 || !EXIF_TYPE_SIZES[type] || valueOffset + size > view.byteLength) return undefined;
+
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = view.getUint8(valueOffset + i);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text.trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const at = valueOffset + i * EXIF_TYPE_SIZES[type];
+            switch (type) {
+                case 3: values.push(view.getUint16(at, little)); break;
+                case 4: values.push(view.getUint32(at, little)); break;
+                case 8: values.push(view.getInt16(at, little)); break;
+                case 9: values.push(view.getInt32(at, little)); break;
+                case 5: values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1)); break;
+                case 10: values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1)); break;
+                case 6: values.push(view.getInt8(at)); break;
+                default: values.push(view.getUint8(at));
+            }
+        }
+        return count === 1 ? values[0] : values;
+    }
+
+    function tiffView(tiff) {
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const little = tiff[0] === 0x49 && tiff[1] === 0x49;
+        if (!(little || (tiff[0] === 0x4D && tiff[1] === 0x4D)) || tiff.length < 8 || view.getUint16(2, little) !== 42) {
+            throw new ParseError('Invalid TIFF header', { format: 'tiff' });
+        }
+        return { view, little, firstIfd: view.getUint32(4, little) };
+    }
+
+    /**
+     * Parse a TIFF-structured EXIF block (the APP1 payload after 'Exif\0\0')
+     * into named fields: { Make: 'Apple', Orientation: 6, GPSLatitude: [52, 31, 12.5], ... }
+     */
+    function parseExif(tiff) {
+        const { view, little, firstIfd } = tiffView(tiff);
+        const fields = {};
+        const visited = new Set();
+
+        const visit = (offset, names) => {
+            if (visited.has(offset)) return;
+            visited.add(offset);
+
+            for (const entry of readIfdEntries(view, offset, little)) {
+                if (entry.tag === EXIF_IFD_POINTER || entry.tag === GPS_IFD_POINTER) {
+                    visit(view.getUint32(entry.entryOffset + 8, little), entry.tag === GPS_IFD_POINTER ? GPS_TAGS : EXIF_TAGS);
+                } else if (names[entry.tag]) {
+                    const value = readExifValue(view, entry, little);
+                    if (value !== undefined) fields[names[entry.tag]] = value;
+                }
+            }
+        };
+
+        // IFD1 (the thumbnail) is skipped
+        visit(firstIfd, EXIF_TAGS);
+        return fields;
+    }
+
+    /**
+     * Copy of an EXIF block safe to attach to re-encoded pixels: Orientation is reset to 1
+     * (pixels are already upright) and with removePrivate the GPS directory and the
+     * PRIVATE_EXIF_TAGS are removed and their bytes zeroed.
+     */
+    function sanitizeExif(tiff, { removePrivate = false } = {}) {
+        const bytes = tiff.slice();
+        const { view, little, firstIfd } = tiffView(bytes);
+
+        const zeroValue = entry => {
+            if (entry.size > 4 && entry.valueOffset + entry.size <= bytes.length) {
+                bytes.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+            }
+        };
+
+        // Rewrite a directory without the dropped entries, zeroing what is left behind
+        const removeEntries = (offset, shouldRemove) => {
+            const entries = readIfdEntries(view, offset, little);
+            const nextIfd = view.getUint32(offset + 2 + entries.length * 12, little);
+            const kept = entries.filter(entry => !shouldRemove(entry));
+            if (kept.length === entries.length) return;
+
+            entries.filter(shouldRemove).forEach(zeroValue);
+            const blocks = kept.map(entry => bytes.slice(entry.entryOffset, entry.entryOffset + 12));
+            bytes.fill(0, offset, offset + 2 + entries.length * 12 + 4);
+            view.setUint16(offset, kept.length, little);
+            blocks.forEach((block, i) => bytes.set(block, offset + 2 + i * 12));
+            view.setUint32(offset + 2 + kept.length * 12, nextIfd, little);
+        };
+
+        const ifd0 = readIfdEntries(view, firstIfd, little);
+        const orientation = ifd0.find(entry => entry.tag === 0x0112);
+        if (orientation && orientation.type === 3) {
+            view.setUint16(orientation.valueOffset, 1, little);
+        }
+
+        if (removePrivate) {
+            const gps = ifd0.find(entry => entry.tag === GPS_IFD_POINTER);
+            if (gps) {
+                const gpsOffset = view.getUint32(gps.entryOffset + 8, little);
+                try {
+                    const gpsEntries = readIfdEntries(view, gpsOffset, little);
+                    gpsEntries.forEach(zeroValue);
+                    bytes.fill(0, gpsOffset, gpsOffset + 2 + gpsEntries.length * 12 + 4);
+                } catch (error) {
+                    // A broken GPS directory is dropped all the same
+                }
+            }
+
+            const exif = ifd0.find(entry => entry.tag === EXIF_IFD_POINTER);
+            removeEntries(firstIfd, entry => entry.tag === GPS_IFD_POINTER || PRIVATE_EXIF_TAGS.includes(entry.tag));
+            if (exif) {
+                removeEntries(view.getUint32(exif.entryOffset + 8, little), entry => PRIVATE_EXIF_TAGS.includes(entry.tag));
+            }
+        }
+
+        return bytes;
+    }
+
+    // JPEG marker segments before the scan data: [{ marker, offset, length, data }]
+    function readJpegSegments(bytes) {
+        const segments = [];
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // Fill bytes and standalone markers carry no length
+            if (marker === 0xFF) { offset++; continue; }
+            if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) { offset += 2; continue; }
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (offset + 2 + length > bytes.length) break;
+            segments.push({ marker, offset, length: length + 2, data: bytes.subarray(offset + 4, offset + 2 + length) });
+            offset += 2 + length;
+        }
+        return segments;
+    }
+
+    function isExifSegment(segment) {
+        return segment.marker === 0xE1 && bytesToAscii(segment.data, 0, 6) === 'Exif\0\0';
+    }
+
+    function isIccSegment(segment) {
+        return segment.marker === 0xE2 && bytesToAscii(segment.data, 0, 12) === 'ICC_PROFILE\0';
+    }
+
+    /**
+     * Read the metadata of a JPEG: parsed EXIF fields, orientation, raw EXIF/ICC data and the
+     * stored (un-rotated) size. EXIF that fails to parse is reported as null rather than thrown.
+     */
+    function readJpegMetadata(bytes) {
+        const segments = readJpegSegments(bytes);
+        const exifSegment = segments.find(isExifSegment);
+        const exifData = exifSegment ? exifSegment.data.subarray(6) : null;
+        const frame = segments.find(segment => segment.marker >= 0xC0 && segment.marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(segment.marker));
+
+        let exif = null;
+        if (exifData) {
+            try {
+                exif = parseExif(exifData);
+            } catch (error) {
+                exif = null;
+            }
+        }
+
+        const orientation = exif && exif.Orientation >= 1 && exif.Orientation <= 8 ? exif.Orientation : 1;
+        return {
+            exif,
+            orientation,
+            exifData: exif ? exifData : null,
+            iccSegments: segments.filter(isIccSegment).map(segment => bytes.slice(segment.offset, segment.offset + segment.length)),
+            width: frame ? (frame.data[3] << 8) | frame.data[4] : null,
+            height: frame ? (frame.data[1] << 8) | frame.data[2] : null
+        };
+    }
+
+    function buildJpegSegment(marker, payload) {
+        const segment = new Uint8Array(payload.length + 4);
+        segment[0] = 0xFF;
+        segment[1] = marker;
+        segment[2] = (payload.length + 2) >> 8;
+        segment[3] = (payload.length + 2) & 0xFF;
+        segment.set(payload, 4);
+        return segment;
+    }
+
+    // Insert complete marker segments after SOI (and JFIF APP0), replacing existing EXIF/ICC segments
+    function injectJpegSegments(bytes, inserted) {
+        const segments = readJpegSegments(bytes);
+        const app0 = segments[0] && segments[0].marker === 0xE0 ? segments[0] : null;
+        const dropped = segments.filter(segment => isExifSegment(segment) || isIccSegment(segment));
+        const head = app0 ? app0.offset + app0.length : 2;
+
+        const parts = [bytes.subarray(0, head), ...inserted];
+        let offset = head;
+        for (const segment of dropped) {
+            parts.push(bytes.subarray(offset, segment.offset));
+            offset = segment.offset + segment.length;
+        }
+        parts.push(bytes.subarray(offset));
+
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+
+    /**
+     * Build an .ico file from PNG images: [{ size, data: Uint8Array (PNG) }].
+     * PNG-compressed entries are supported by Windows Vista+ and every current browser.
+     */
+    function buildIco(images) {
+        const header = new Uint8Array(6 + images.length * 16);
+        const view = new DataView(header.buffer);
+        view.setUint16(2, 1, true); // Type 1: icon
+        view.setUint16(4, images.length, true);
+
+        let offset = header.length;
+        images.forEach((image, i) => {
+            const entry = 6 + i * 16;
+            header[entry] = image.size >= 256 ? 0 : image.size; // 0 means 256
+            header[entry + 1] = image.size >= 256 ? 0 : image.size;
+            view.setUint16(entry + 4, 1, true); // Color planes
+            view.setUint16(entry + 6, 32, true); // Bits per pixel
+            view.setUint32(entry + 8, image.data.length, true);
+            view.setUint32(entry + 12, offset, true);
+            offset += image.data.length;
+        });
+
+        return new Blob([header, ...images.map(image => image.data)], { type: 'image/x-icon' });
+    }
+
+    // Reassemble an ICC profile split across APP2 segments (complete segments as kept by readJpegMetadata)
+    function joinIccSegments(segments) {
+        const ordered = [...segments].sort((a, b) => a[16] - b[16]);
+        const profile = new Uint8Array(ordered.reduce((sum, segment) => sum + segment.length - 18, 0));
+        let offset = 0;
+        for (const segment of ordered) {
+            profile.set(segment.subarray(18), offset);
+            offset += segment.length - 18;
+        }
+        return profile;
+    }
+
+    function buildPngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+        return chunk;
+    }
+
+    // Insert chunks right after IHDR, dropping existing chunks of the replaced types
+    function injectPngChunks(bytes, inserted, replacedTypes = []) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ihdrEnd = 8 + 12 + view.getUint32(8);
+        const parts = [bytes.subarray(0, ihdrEnd), ...inserted];
+
+        for (let offset = ihdrEnd; offset + 8 <= bytes.length;) {
+            const end = offset + 12 + view.getUint32(offset);
+            if (!replacedTypes.includes(bytesToAscii(bytes, offset + 4, 4))) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+
+    // zlib stream of stored (uncompressed) deflate blocks, for browsers without CompressionStream
+    function zlibStore(bytes) {
+        const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+        const output = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+        output.set([0x78, 0x01]);
+        let position = 2;
+        for (let offset = 0, i = 0; i < blocks; i++, offset += 65535) {
+            const length = Math.min(65535, bytes.length - offset);
+            output[position] = i === blocks - 1 ? 1 : 0;
+            output[position + 1] = length & 0xFF;
+            output[position + 2] = length >> 8;
+            output[position + 3] = ~length & 0xFF;
+            output[position + 4] = (~length >> 8) & 0xFF;
+            output.set(bytes.subarray(offset, offset + length), position + 5);
+            position += 5 + length;
+        }
+
+        let a = 1, b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        new DataView(output.buffer).setUint32(position, ((b << 16) | a) >>> 0);
+        return output;
+    }
+
+    // Apply the PNG filter with the smallest sum of absolute differences to each row (truecolor images)
+    function filterPngRows(pixels, width, height, channels) {
+        const stride = width * channels;
+        const output = new Uint8Array((stride + 1) * height);
+        const candidate = new Uint8Array(stride);
+        const best = new Uint8Array(stride);
+        const zero = new Uint8Array(stride);
+
+        for (let y = 0; y < height; y++) {
+            const row = pixels.subarray(y * stride, (y + 1) * stride);
+            const above = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : zero;
+            let bestFilter = 0;
+            let bestScore = Infinity;
+
+            for (let filter = 0; filter < 5; filter++) {
+                let score = 0;
+                for (let x = 0; x < stride; x++) {
+                    const left = x >= channels ? row[x - channels] : 0;
+                    const up = above[x];
+                    const upLeft = x >= channels ? above[x - channels] : 0;
+                    let predictor = 0;
+                    if (filter === 1) predictor = left;
+                    else if (filter === 2) predictor = up;
+                    else if (filter === 3) predictor = (left + up) >> 1;
+                    else if (filter === 4) {
+                        const p = left + up - upLeft;
+                        const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                        predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    }
+                    const value = (row[x] - predictor) & 0xFF;
+                    candidate[x] = value;
+                    score += value < 128 ? value : 256 - value;
+                }
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestFilter = filter;
+                    best.set(candidate);
+                }
+            }
+
+            output[y * (stride + 1)] = bestFilter;
+            output.set(best, y * (stride + 1) + 1);
+        }
+        return output;
+    }
+
+    /**
+     * Pure-JS PNG encoder for RGBA pixels ({ width, height, data }).
+     * Losslessly picks the smallest layout: indexed (1/2/4/8-bit, alpha in tRNS) for up to 256 colors,
+     * otherwise RGB, and RGBA only when some pixel is not opaque. With `colors` the image is first
+     * quantized to at most that many RGBA colors; semi-transparent pixels keep their own alpha in tRNS.
+     * Resolves with { bytes, colorCount (null for truecolor), colorType, bitDepth }.
+     */
+    async function encodePng(image, { colors = null, dither = false } = {}) {
+        const { width, height, data } = image;
+        const pixelCount = width * height;
+        const maxColors = colors ? Math.max(2, Math.min(256, colors)) : 256;
+
+        // Exact palette while there are few enough colors; every fully transparent pixel shares one entry.
+        // Keys are packed from the bytes so views at any byteOffset work
+        const lookup = new Map();
+        let indices = new Uint8Array(pixelCount);
+        let opaque = true;
+        let previous = -1;
+        let previousIndex = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            const p = i * 4;
+            if (data[p + 3] !== 255) opaque = false;
+            const key = data[p + 3] === 0 ? 0 : ((data[p] << 24) | (data[p + 1] << 16) | (data[p + 2] << 8) | data[p + 3]) >>> 0;
+            if (key !== previous) {
+                let index = lookup.get(key);
+                if (index === undefined) {
+                    if (lookup.size === maxColors) {
+                        indices = null;
+                        break;
+                    }
+                    index = lookup.size;
+                    lookup.set(key, index);
+                }
+                previous = key;
+                previousIndex = index;
+            }
+            indices[i] = previousIndex;
+        }
+
+        let palette = null;
+        let alpha = null;
+        let colorCount = null;
+        if (indices) {
+            colorCount = lookup.size;
+            palette = new Uint8Array(colorCount * 3);
+            alpha = new Uint8Array(colorCount);
+            for (const [key, index] of lookup) {
+                palette[index * 3] = key >>> 24;
+                palette[index * 3 + 1] = (key >>> 16) & 0xFF;
+                palette[index * 3 + 2] = (key >>> 8) & 0xFF;
+                alpha[index] = key & 0xFF;
+            }
+        } else if (colors) {
+            ({ palette, indices, alphas: alpha } = quantizeImage(data, width, height, { maxColors, dither, alpha: true }));
+            colorCount = palette.length / 3;
+        }
+
+        let raw;
+        let colorType;
+        let bitDepth = 8;
+        if (palette) {
+            colorType = 3;
+            bitDepth = colorCount <= 2 ? 1 : colorCount <= 4 ? 2 : colorCount <= 16 ? 4 : 8;
+            // Indexed rows compress best unfiltered; low bit depths pack several pixels per byte, high bits first
+            const perByte = 8 / bitDepth;
+            const stride = Math.ceil(width / perByte);
+            raw = new Uint8Array((stride + 1) * height);
+            for (let y = 0; y < height; y++) {
+                const row = y * (stride + 1) + 1;
+                for (let x = 0; x < width; x++) {
+                    const shift = 8 - bitDepth * (x % perByte + 1);
+                    raw[row + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+                }
+            }
+        } else {
+            colorType = opaque ? 2 : 6;
+            const channels = opaque ? 3 : 4;
+            let pixels = data;
+            if (opaque) {
+                pixels = new Uint8Array(pixelCount * 3);
+                for (let i = 0; i < pixelCount; i++) {
+                    pixels[i * 3] = data[i * 4];
+                    pixels[i * 3 + 1] = data[i * 4 + 1];
+                    pixels[i * 3 + 2] = data[i * 4 + 2];
+                }
+            }
+            raw = filterPngRows(pixels, width, height, channels);
+        }
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = bitDepth;
+        header[9] = colorType;
+
+        const chunks = [buildPngChunk('IHDR', header)];
+        if (palette) {
+            chunks.push(buildPngChunk('PLTE', palette));
+            // tRNS may stop after the last non-opaque entry
+            let last = alpha.length;
+            while (last > 0 && alpha[last - 1] === 255) last--;
+            if (last > 0) chunks.push(buildPngChunk('tRNS', alpha.subarray(0, last)));
+        }
+        const compressed = typeof CompressionStream !== 'undefined' ? await compressBytes(raw, 'deflate') : zlibStore(raw);
+        chunks.push(buildPngChunk('IDAT', compressed), buildPngChunk('IEND', new Uint8Array(0)));
+
+        const bytes = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        bytes.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        let position = 8;
+        for (const chunk of chunks) {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        }
+        return { bytes, colorCount, colorType, bitDepth };
+    }
+
+    // True when a PNG has an alpha channel (gray + alpha, RGBA) or a tRNS transparency chunk
+    function pngHasAlpha(bytes) {
+        if (bytes[25] === 4 || bytes[25] === 6) return true;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let offset = 8; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+            const type = bytesToAscii(bytes, offset + 4, 4);
+            if (type === 'tRNS') return true;
+            if (type === 'IDAT') break;
+        }
+        return false;
+    }
+
+    // Portrait page sizes in PDF points (1/72 inch)
+    const PDF_PAGE_SIZES = {
+        a3: [841.89, 1190.55],
+        a4: [595.28, 841.89],
+        a5: [419.53, 595.28],
+        letter: [612, 792],
+        legal: [612, 1008]
+    };
+
+    // 'A4', 'letter', [width, height] or { width, height } in points to a [width, height] pair
+    function resolvePdfPageSize(pageSize) {
+        if (typeof pageSize === 'string') return PDF_PAGE_SIZES[pageSize.toLowerCase()] || null;
+        const size = Array.isArray(pageSize) ? pageSize : pageSize && [pageSize.width, pageSize.height];
+        return size && size.every(value => Number.isFinite(value) && value > 0) ? size : null;
+    }
+
+    /**
+     * Place images ({ width, height } in pixels, 1 px = 1 pt at actual size) in a columns × rows
+     * grid inside the page margins, filled left to right and top to bottom, each centred in its cell.
+     * placement: 'fit' scales to fit the cell, 'fill' covers it and clips the overflow,
+     * 'actual' keeps the pixel size and clips what does not fit.
+     * Returns [{ x, y, width, height, clip }] in PDF coordinates (origin at the bottom left).
+     */
+    function layoutPdfPage(pageWidth, pageHeight, images, { margin = 0, columns = 1, rows = 1, gap = 0, placement = 'fit' } = {}) {
+        const cellWidth = (pageWidth - margin * 2 - gap * (columns - 1)) / columns;
+        const cellHeight = (pageHeight - margin * 2 - gap * (rows - 1)) / rows;
+
+        return images.map((image, index) => {
+            const cellX = margin + (index % columns) * (cellWidth + gap);
+            const cellTop = margin + Math.floor(index / columns) * (cellHeight + gap);
+            const fit = Math.min(cellWidth / image.width, cellHeight / image.height);
+            const scale = placement === 'actual' ? 1
+                : placement === 'fill' ? Math.max(cellWidth / image.width, cellHeight / image.height)
+                    : fit;
+            const width = image.width * scale;
+            const height = image.height * scale;
+            const cell = { x: cellX, y: pageHeight - cellTop - cellHeight, width: cellWidth, height: cellHeight };
+
+            return {
+                x: cellX + (cellWidth - width) / 2,
+                y: cell.y + (cellHeight - height) / 2,
+                width,
+                height,
+                // Anything larger than the cell is clipped to it
+                clip: scale > fit + 1e-9 ? cell : null
+            };
+        });
+    }
+
+    // Page [width, height] for an orientation; 'auto' picks whichever shows the images larger
+    function orientPdfPage(size, orientation, images, layout) {
+        const portrait = [Math.min(...size), Math.max(...size)];
+        const landscape = [portrait[1], portrait[0]];
+        if (orientation === 'portrait') return portrait;
+        if (orientation === 'landscape') return landscape;
+
+        const fittedArea = ([width, height]) => layoutPdfPage(width, height, images, { ...layout, placement: 'fit' })
+            .reduce((sum, placed) => sum + placed.width * placed.height, 0);
+        return fittedArea(landscape) > fittedArea(portrait) ? landscape : portrait;
+    }
+
+    // Reverse PNG row filters; raw holds one filter-type byte before each row
+    function unfilterPngRows(raw, width, height, channels) {
+        const stride = width * channels;
+        const pixels = new Uint8Array(stride * height);
+
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const source = y * (stride + 1) + 1;
+            const row = y * stride;
+            for (let x = 0; x < stride; x++) {
+                const left = x >= channels ? pixels[row + x - channels] : 0;
+                const up = y > 0 ? pixels[row - stride + x] : 0;
+                const upLeft = x >= channels && y > 0 ? pixels[row - stride + x - channels] : 0;
+                let predictor = 0;
+                if (filter === 1) predictor = left;
+                else if (filter === 2) predictor = up;
+                else if (filter === 3) predictor = (left + up) >> 1;
+                else if (filter === 4) {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                    predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                }
+                pixels[row + x] = (raw[source + x] + predictor) & 0xFF;
+            }
+        }
+        return pixels;
+    }
+
+    const pdfNumber = value => Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '');
+
+    // PDF text string: literal for printable ASCII, UTF-16BE hex otherwise
+    function pdfText(text) {
+        const value = String(text);
+        if (/^[\x20-\x7E]*$/.test(value)) return `(${value.replace(/[\\()]/g, '\\$&')})`;
+        let hex = 'FEFF';
+        for (let i = 0; i < value.length; i++) hex += value.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        return `<${hex}>`;
+    }
+
+    // Standard 14 fonts for text overlays: cap height and widths of ASCII 32–126 in 1/1000 em (Courier is fixed at 600)
+    const PDF_STANDARD_FONTS = {
+        'Helvetica': {
+            capHeight: 718,
+            widths: [
+                278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+                556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+                556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+            ]
+        },
+        'Helvetica-Bold': {
+            capHeight: 718,
+            widths: [
+                278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+                556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+                667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+                611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+            ]
+        },
+        'Times-Roman': {
+            capHeight: 662,
+            widths: [
+                250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278, 500, 500, 500, 500, 500, 500, 500, 500,
+                500, 500, 278, 278, 564, 564, 564, 444, 921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+                556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500, 333, 444, 500, 444, 500, 444, 333, 500,
+                500, 278, 278, 500, 278, 778, 500, 500, 500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+            ]
+        },
+        'Times-Bold': {
+            capHeight: 676,
+            widths: [
+                250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278, 500, 500, 500, 500, 500, 500, 500, 500,
+                500, 500, 333, 333, 570, 570, 570, 500, 930, 722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944, 722, 778,
+                611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667, 333, 278, 333, 581, 500, 333, 500, 556, 444, 556, 444, 333, 500,
+                556, 278, 333, 556, 278, 833, 556, 500, 556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+            ]
+        },
+        'Courier': { capHeight: 562, widths: null },
+        'Courier-Bold': { capHeight: 562, widths: null }
+    };
+
+    // WinAnsiEncoding codes of the characters outside Latin-1
+    const WIN_ANSI_EXTRAS = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E,
+        '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+    };
+
+    // Standard font closest to a CSS font family and weight
+    function pdfStandardFont(family, weight) {
+        const bold = weight === 'bold' || weight === 'bolder' || Number(weight) >= 600;
+        if (/mono|courier/i.test(family)) return bold ? 'Courier-Bold' : 'Courier';
+        if (/times|georgia|(^|[^-])\bserif/i.test(family)) return bold ? 'Times-Bold' : 'Times-Roman';
+        return bold ? 'Helvetica-Bold' : 'Helvetica';
+    }
+
+    // Text as WinAnsi bytes (one char per byte); characters without a code become fallback, or the result is null
+    function pdfWinAnsi(text, fallback = null) {
+        let bytes = '';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            const mapped = WIN_ANSI_EXTRAS[char] || ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) ? code : null);
+            if (mapped === null && fallback === null) return null;
+            bytes += mapped === null ? fallback : String.fromCharCode(mapped);
+        }
+        return bytes;
+    }
+
+    // Width in points of text set in a standard font; accented letters count as their base letter
+    function pdfTextWidth(text, font, size) {
+        const { widths } = PDF_STANDARD_FONTS[font];
+        let total = 0;
+        for (const char of String(text)) {
+            const code = char.normalize('NFD').charCodeAt(0);
+            total += !widths ? 600 : code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    // Matrix placing a width × height box centred where { x, y, width, height } puts it, turned by rotate degrees counter-clockwise
+    function pdfBoxMatrix({ x, y, width, height, rotate = 0 }) {
+        const angle = rotate * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const centerX = x + width / 2;
+        const centerY = y + height / 2;
+        return [cos, sin, -sin, cos, centerX - width / 2 * cos + height / 2 * sin, centerY - width / 2 * sin - height / 2 * cos];
+    }
+
+    function pdfDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z)`;
+    }
+
+    function pdfDict(entries) {
+        const body = Object.entries(entries)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `/${key} ${typeof value === 'number' ? pdfNumber(value) : value}`);
+        return `<< ${body.join(' ')} >>`;
+    }
+
+    async function deflateBytes(bytes) {
+        return typeof CompressionStream !== 'undefined' ? compressBytes(bytes, 'deflate') : zlibStore(bytes);
+    }
+
+    /**
+     * Minimal PDF writer: image XObjects and standard-font text on pages plus a document information dictionary.
+     * JPEGs are embedded as-is (DCTDecode); PNGs keep their zlib data where the layout allows
+     * and pixels are stored as FlateDecode RGB with an alpha soft mask.
+     * Sizes and positions are in points (1/72 inch), origin at the bottom left.
+     */
+    class PdfWriter {
+        // info: { title, author, subject, keywords, creator, creationDate }
+        constructor(info = {}) {
+            this.info = info;
+            this.objects = [];
+            this.pages = [];
+            this.images = 0;
+            this.fonts = new Map();
+            this.opacityStates = new Map();
+            this.catalogId = this.reserve();
+            this.pagesId = this.reserve();
+        }
+
+        reserve() {
+            this.objects.push(null);
+            return this.objects.length;
+        }
+
+        addObject(dict, stream = null, id = this.reserve()) {
+            this.objects[id - 1] = { dict: stream ? { ...dict, Length: stream.length } : dict, stream };
+            return id;
+        }
+
+        addImageObject(width, height, dict, stream) {
+            const id = this.addObject({ Type: '/XObject', Subtype: '/Image', Width: width, Height: height, ...dict }, stream);
+            return { id, name: `Im${++this.images}`, width, height };
+        }
+
+        // JPEG bytes as-is; resolves with an image handle { id, name, width, height }
+        addJpeg(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            const segments = readJpegSegments(bytes);
+            const frame = segments.find(segment => segment.marker >= 0xC0 && segment.marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(segment.marker));
+            if (!frame) {
+                throw new ParseError('Not a JPEG image', { format: 'jpg' });
+            }
+
+            const height = (frame.data[1] << 8) | frame.data[2];
+            const width = (frame.data[3] << 8) | frame.data[4];
+            const components = frame.data[5];
+            // Adobe CMYK JPEGs are stored inverted
+            const adobe = segments.some(segment => segment.marker === 0xEE && bytesToAscii(segment.data, 0, 5) === 'Adobe');
+
+            return this.addImageObject(width, height, {
+                ColorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+                BitsPerComponent: 8,
+                Decode: components === 4 && adobe ? '[1 0 1 0 1 0 1 0]' : null,
+                Filter: '/DCTDecode'
+            }, bytes);
+        }
+
+        /**
+         * PNG bytes. Gray, RGB and palette images (8 bits or fewer, not interlaced) reuse the
+         * compressed data with PNG predictors; 8-bit images with alpha are split into RGB and a
+         * soft mask. Resolves with null for layouts it cannot embed (decode those to pixels instead).
+         */
+        async addPng(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const width = view.getUint32(16);
+            const height = view.getUint32(20);
+            const [bitDepth, colorType, , , interlace] = bytes.subarray(24, 29);
+
+            let palette = null;
+            let transparency = false;
+            const idat = [];
+            for (let offset = 8; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+                const type = bytesToAscii(bytes, offset + 4, 4);
+                const chunk = bytes.subarray(offset + 8, offset + 8 + view.getUint32(offset));
+                if (type === 'PLTE') palette = chunk;
+                else if (type === 'tRNS') transparency = true;
+                else if (type === 'IDAT') idat.push(chunk);
+            }
+            const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+            let position = 0;
+            for (const chunk of idat) {
+                compressed.set(chunk, position);
+                position += chunk.length;
+            }
+
+            if (interlace || transparency || bitDepth > 8) return null;
+
+            if (colorType === 0 || colorType === 2 || colorType === 3) {
+                const colors = colorType === 2 ? 3 : 1;
+                const hex = palette && Array.from(palette, value => value.toString(16).padStart(2, '0')).join('');
+                return this.addImageObject(width, height, {
+                    ColorSpace: colorType === 3 ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${hex}>]` : colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+                    BitsPerComponent: bitDepth,
+                    Filter: '/FlateDecode',
+                    DecodeParms: pdfDict({ Predictor: 15, Colors: colors, BitsPerComponent: bitDepth, Columns: width })
+                }, compressed);
+            }
+
+            if ((colorType === 4 || colorType === 6) && typeof DecompressionStream !== 'undefined') {
+                const channels = colorType === 6 ? 4 : 2;
+                const pixels = unfilterPngRows(await decompressBytes(compressed, 'deflate'), width, height, channels);
+                return this.addChannels(width, height, pixels, channels - 1);
+            }
+            return null;
+        }
+
+        // RGBA pixels ({ width, height, data }) as FlateDecode RGB, with a soft mask when any pixel is transparent
+        async addPixels({ width, height, data }) {
+            return this.addChannels(width, height, data, 3, 4);
+        }
+
+        async addChannels(width, height, pixels, colors, stride = colors + 1) {
+            const count = width * height;
+            const color = new Uint8Array(count * colors);
+            const alpha = new Uint8Array(count);
+            let opaque = true;
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < colors; c++) color[i * colors + c] = pixels[i * stride + c];
+                alpha[i] = pixels[i * stride + colors];
+                if (alpha[i] !== 255) opaque = false;
+            }
+
+            const colorSpace = colors === 3 ? '/DeviceRGB' : '/DeviceGray';
+            const mask = opaque ? null : this.addObject({
+                Type: '/XObject', Subtype: '/Image', Width: width, Height: height,
+                ColorSpace: '/DeviceGray', BitsPerComponent: 8, Filter: '/FlateDecode'
+            }, await deflateBytes(alpha));
+
+            return this.addImageObject(width, height, {
+                ColorSpace: colorSpace,
+                BitsPerComponent: 8,
+                Filter: '/FlateDecode',
+                SMask: mask ? `${mask} 0 R` : null
+            }, await deflateBytes(color));
+        }
+
+        // One of the standard 14 fonts (see PDF_STANDARD_FONTS) with WinAnsi encoding; returns a font handle { id, name, baseFont }
+        addFont(baseFont) {
+            if (!this.fonts.has(baseFont)) {
+                const id = this.addObject({ Type: '/Font', Subtype: '/Type1', BaseFont: `/${baseFont}`, Encoding: '/WinAnsiEncoding' });
+                this.fonts.set(baseFont, { id, name: `F${this.fonts.size + 1}`, baseFont });
+            }
+            return this.fonts.get(baseFont);
+        }
+
+        opacityState(opacity) {
+            const key = pdfNumber(opacity);
+            if (!this.opacityStates.has(key)) {
+                const id = this.addObject({ Type: '/ExtGState', ca: key, CA: key });
+                this.opacityStates.set(key, { id, name: `GS${this.opacityStates.size + 1}` });
+            }
+            return this.opacityStates.get(key);
+        }
+
+        /**
+         * draws: images { image, x, y, width, height, clip: { x, y, width, height } | null } and
+         * text { text, font, size, color: [r, g, b] (0–1), x, y, width, height }, vertically centred on the box.
+         * Either may have opacity (0–1) and rotate (degrees counter-clockwise around the box centre).
+         */
+        addPage(width, height, draws = []) {
+            const resources = { XObject: new Map(), Font: new Map(), ExtGState: new Map() };
+            const content = draws.map(draw => {
+                const { image, text, clip, opacity = 1, rotate = 0 } = draw;
+                const operators = ['q'];
+                if (clip) operators.push(`${[clip.x, clip.y, clip.width, clip.height].map(pdfNumber).join(' ')} re W n`);
+                if (opacity < 1) {
+                    const state = this.opacityState(opacity);
+                    resources.ExtGState.set(state.name, state.id);
+                    operators.push(`/${state.name} gs`);
+                }
+
+                const matrix = rotate ? pdfBoxMatrix(draw) : [1, 0, 0, 1, draw.x, draw.y];
+                if (image) {
+                    resources.XObject.set(image.name, image.id);
+                    if (rotate) operators.push(`${matrix.map(pdfNumber).join(' ')} cm`);
+                    operators.push(`${[draw.width, 0, 0, draw.height, rotate ? 0 : draw.x, rotate ? 0 : draw.y].map(pdfNumber).join(' ')} cm`, `/${image.name} Do`);
+                } else if (text) {
+                    const { font, size, color = [0, 0, 0] } = draw;
+                    resources.Font.set(font.name, font.id);
+                    const baseline = (draw.height - PDF_STANDARD_FONTS[font.baseFont].capHeight * size / 1000) / 2;
+                    const encoded = pdfWinAnsi(text, '?').replace(/[\\()]/g, '\\$&')
+                        .replace(/[\x80-\xFF]/g, char => `\\${char.charCodeAt(0).toString(8).padStart(3, '0')}`);
+                    operators.push(`${matrix.map(pdfNumber).join(' ')} cm`, 'BT', `/${font.name} ${pdfNumber(size)} Tf`,
+                        `${color.map(pdfNumber).join(' ')} rg`, `0 ${pdfNumber(baseline)} Td`, `(${encoded}) Tj`, 'ET');
+                }
+                operators.push('Q');
+                return operators.join('\n');
+            }).join('\n');
+
+            const resourceDict = Object.entries(resources)
+                .filter(([, entries]) => entries.size > 0)
+                .map(([type, entries]) => `/${type} << ${[...entries].map(([name, id]) => `/${name} ${id} 0 R`).join(' ')} >>`);
+            const contents = this.addObject({}, new TextEncoder().encode(content));
+            this.pages.push(this.addObject({
+                Type: '/Page',
+                Parent: `${this.pagesId} 0 R`,
+                MediaBox: `[0 0 ${pdfNumber(width)} ${pdfNumber(height)}]`,
+                Resources: `<< ${resourceDict.join(' ')} >>`,
+                Contents: `${contents} 0 R`
+            }));
+        }
+
+        async save() {
+            const { title, author, subject, keywords, creator, creationDate = new Date() } = this.info;
+            this.addObject({ Type: '/Catalog', Pages: `${this.pagesId} 0 R` }, null, this.catalogId);
+            this.addObject({ Type: '/Pages', Kids: `[${this.pages.map(id => `${id} 0 R`).join(' ')}]`, Count: this.pages.length }, null, this.pagesId);
+            const infoId = this.addObject({
+                Title: title ? pdfText(title) : null,
+                Author: author ? pdfText(author) : null,
+                Subject: subject ? pdfText(subject) : null,
+                Keywords: keywords ? pdfText(keywords) : null,
+                Creator: creator ? pdfText(creator) : null,
+                Producer: pdfText('OmniConvert'),
+                CreationDate: pdfDate(creationDate),
+                ModDate: pdfDate(creationDate)
+            });
+
+            const encoder = new TextEncoder();
+            // The binary comment marks the file as binary for transfer tools
+            const parts = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+            let position = parts[0].length + parts[1].length;
+            const offsets = [];
+
+            this.objects.forEach(({ dict, stream }, index) => {
+                offsets.push(position);
+                const head = encoder.encode(`${index + 1} 0 obj\n${pdfDict(dict)}\n${stream ? 'stream\n' : ''}`);
+                const tail = encoder.encode(`${stream ? '\nendstream' : ''}\nendobj\n`);
+                parts.push(head, ...(stream ? [stream] : []), tail);
+                position += head.length + (stream ? stream.length : 0) + tail.length;
+            });
+
+            const xref = [`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`,
+                ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`)].join('');
+            parts.push(encoder.encode(`${xref}trailer\n${pdfDict({ Size: this.objects.length + 1, Root: `${this.catalogId} 0 R`, Info: `${infoId} 0 R` })}\nstartxref\n${position}\n%%EOF\n`));
+
+            const output = new Uint8Array(position + parts[parts.length - 1].length);
+            let offset = 0;
+            for (const part of parts) {
+                output.set(part, offset);
+                offset += part.length;
+            }
+            return output;
+        }
+    }
+
+    /**
+     * BMP decoder: 1/4/8-bit palette, 16/24/32-bit, RLE4/RLE8 and bit fields.
+     * decode() returns { width, height, data: Uint8ClampedArray (RGBA) }.
+     */
+    class BmpDecoder {
+        constructor(bytes) {
+            this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+            this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+            this.parseHeader();
+        }
+
+        static async fromFile(file) {
+            return new BmpDecoder(new Uint8Array(await file.arrayBuffer()));
+        }
+
+        parseHeader() {
+            const { view } = this;
+            if (this.bytes.length < 26 || bytesToAscii(this.bytes, 0, 2) !== 'BM') {
+                throw new ParseError('Invalid BMP header', { format: 'bmp' });
+            }
+
+            this.dataOffset = view.getUint32(10, true);
+            const headerSize = view.getUint32(14, true);
+
+            if (headerSize === 12) {
+                // OS/2 BITMAPCOREHEADER: 16-bit sizes and 3-byte palette entries
+                this.width = view.getUint16(18, true);
+                this.height = view.getInt16(20, true);
+                this.bitCount = view.getUint16(24, true);
+                this.compression = 0;
+                this.paletteEntrySize = 3;
+            } else {
+                this.width = view.getInt32(18, true);
+                this.height = view.getInt32(22, true);
+                this.bitCount = view.getUint16(28, true);
+                this.compression = view.getUint32(30, true);
+                this.colorsUsed = view.getUint32(46, true);
+                this.paletteEntrySize = 4;
+            }
+
+            // Negative height means rows are stored top-down
+            this.topDown = this.height < 0;
+            this.height = Math.abs(this.height);
+            if (this.width <= 0 || this.height === 0) {
+                throw new ParseError('Invalid BMP dimensions', { format: 'bmp' });
+            }
+
+            // Bit fields follow a 40-byte header, or live inside V2+ headers
+            if (this.compression === 3 || this.compression === 6) {
+                const masks = headerSize >= 52 ? 54 : 14 + headerSize;
+                this.masks = [0, 1, 2].map(i => view.getUint32(masks + i * 4, true));
+                const hasAlpha = headerSize >= 56 || this.compression === 6;
+                this.masks.push(hasAlpha ? view.getUint32(masks + 12, true) : 0);
+            } else if (this.bitCount === 16) {
+                this.masks = [0x7C00, 0x03E0, 0x001F, 0];
+            }
+
+            if (this.bitCount <= 8) {
+                const count = this.colorsUsed || (1 << this.bitCount);
+                const start = 14 + headerSize + (this.compression === 3 ? 12 : this.compression === 6 ? 16 : 0);
+                this.palette = [];
+                for (let i = 0; i < count && start + i * this.paletteEntrySize + 3 <= this.bytes.length; i++) {
+                    const at = start + i * this.paletteEntrySize;
+                    this.palette.push([this.bytes[at + 2], this.bytes[at + 1], this.bytes[at]]);
+                }
+            }
+        }
+
+        // Only 32-bit images and bit fields with an alpha mask carry an alpha channel
+        hasAlphaChannel() {
+            return this.bitCount === 32 || Boolean(this.masks && this.masks[3]);
+        }
+
+        decode() {
+            const { width, height } = this;
+            const data = new Uint8ClampedArray(width * height * 4);
+
+            if (this.compression === 1 || this.compression === 2) {
+                this.decodeRle(data, this.compression === 1 ? 8 : 4);
+            } else if (this.compression <= 3 || this.compression === 6) {
+                this.decodeRows(data);
+            } else {
+                throw new UnsupportedInputError(`Unsupported BMP compression: ${this.compression}`, { format: 'bmp', compression: this.compression });
+            }
+
+            return { width, height, data };
+        }
+
+        // Row index in the output for the n-th stored row
+        rowAt(stored) {
+            return this.topDown ? stored : this.height - 1 - stored;
+        }
+
+        setPaletteColor(data, offset, index) {
+            const color = this.palette[index] || [0, 0, 0];
+            data[offset] = color[0];
+            data[offset + 1] = color[1];
+            data[offset + 2] = color[2];
+            data[offset + 3] = 255;
+        }
+
+        decodeRows(data) {
+            const { bytes, view, width, height, bitCount } = this;
+            const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+            if (this.dataOffset + stride * (height - 1) + Math.ceil(bitCount * width / 8) > bytes.length) {
+                throw new ParseError('BMP pixel data is truncated', { format: 'bmp' });
+            }
+
+            const channel = (value, mask) => {
+                if (!mask) return 255;
+                const shift = 31 - Math.clz32(mask & -mask);
+                const max = mask >>> shift;
+                return Math.round(((value & mask) >>> shift) * 255 / max);
+            };
+            let anyAlpha = false;
+
+            for (let stored = 0; stored < height; stored++) {
+                const row = this.dataOffset + stored * stride;
+                let out = this.rowAt(stored) * width * 4;
+
+                for (let x = 0; x < width; x++, out += 4) {
+                    if (bitCount <= 8) {
+                        const bit = x * bitCount;
+                        const index = (bytes[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+                        this.setPaletteColor(data, out, index);
+                    } else if (bitCount === 24 || (bitCount === 32 && !this.masks)) {
+                        const at = row + x * (bitCount / 8);
+                        data[out] = bytes[at + 2];
+                        data[out + 1] = bytes[at + 1];
+                        data[out + 2] = bytes[at];
+                        data[out + 3] = bitCount === 32 ? bytes[at + 3] : 255;
+                        if (bitCount === 32 && bytes[at + 3]) anyAlpha = true;
+                    } else {
+                        const value = bitCount === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+                        const [red, green, blue, alpha] = this.masks;
+                        data[out] = channel(value, red);
+                        data[out + 1] = channel(value, green);
+                        data[out + 2] = channel(value, blue);
+                        data[out + 3] = channel(value, alpha);
+                        if (value & alpha) anyAlpha = true;
+                    }
+                }
+            }
+
+            // Plain 32-bit BMPs usually leave the fourth byte at zero, and many tools write an alpha
+            // mask with all-zero alpha too: treat either as opaque
+            if (this.hasAlphaChannel() && !anyAlpha) {
+                for (let i = 3; i < data.length; i += 4) data[i] = 255;
+            }
+        }
+
+        // RLE8/RLE4; pixels skipped by delta codes stay transparent
+        decodeRle(data, bits) {
+            const { bytes, width, height } = this;
+            let position = this.dataOffset;
+            let x = 0;
+            let y = 0;
+
+            const put = index => {
+                if (x < width && y < height) this.setPaletteColor(data, (this.rowAt(y) * width + x) * 4, index);
+                x++;
+            };
+
+            while (position + 1 < bytes.length && y < height) {
+                const count = bytes[position++];
+                const value = bytes[position++];
+
+                if (count > 0) {
+                    // Encoded run; RLE4 alternates the two nibbles
+                    for (let i = 0; i < count; i++) {
+                        put(bits === 8 ? value : (i & 1 ? value & 0x0F : value >> 4));
+                    }
+                } else if (value === 0) {
+                    x = 0;
+                    y++;
+                } else if (value === 1) {
+                    break;
+                } else if (value === 2) {
+                    x += bytes[position++];
+                    y += bytes[position++];
+                } else {
+                    // Absolute run of `value` pixels, padded to a 16-bit boundary
+                    const length = bits === 8 ? value : Math.ceil(value / 2);
+                    for (let i = 0; i < value; i++) {
+                        put(bits === 8 ? bytes[position + i] : (i & 1 ? bytes[position + (i >> 1)] & 0x0F : bytes[position + (i >> 1)] >> 4));
+                    }
+                    position += length + (length & 1);
+                }
+            }
+        }
+    }
+
+    // TIFF tag numbers used by the decoder
+    const TIFF_TAGS = {
+        ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259,
+        PhotometricInterpretation: 262, FillOrder: 266, StripOffsets: 273, SamplesPerPixel: 277,
+        RowsPerStrip: 278, StripByteCounts: 279, XResolution: 282, YResolution: 283,
+        PlanarConfiguration: 284, ResolutionUnit: 296, Predictor: 317, ColorMap: 320,
+        TileWidth: 322, ExtraSamples: 338
+    };
+
+    // TIFF-flavoured LZW: MSB-first codes, 256 = clear, 257 = end, width grows one code early
+    function decodeTiffLzw(input, expectedLength) {
+        const output = new Uint8Array(expectedLength);
+        const prefixes = new Int32Array(4096);
+        const suffixes = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        for (let i = 0; i < 256; i++) {
+            suffixes[i] = i;
+            lengths[i] = 1;
+        }
+
+        let written = 0;
+        let bitPosition = 0;
+        let codeSize = 9;
+        let next = 258;
+        let previous = -1;
+        const totalBits = input.length * 8;
+
+        const emit = code => {
+            const length = lengths[code];
+            let at = written + length - 1;
+            for (let c = code; at >= written; c = prefixes[c], at--) {
+                if (at < expectedLength) output[at] = suffixes[c];
+            }
+            written += length;
+        };
+        const firstByte = code => {
+            while (lengths[code] > 1) code = prefixes[code];
+            return suffixes[code];
+        };
+
+        while (bitPosition + codeSize <= totalBits && written < expectedLength) {
+            let code = 0;
+            for (let i = 0; i < codeSize; i++, bitPosition++) {
+                code = (code << 1) | ((input[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+            }
+
+            if (code === 257) break;
+            if (code === 256) {
+                codeSize = 9;
+                next = 258;
+                previous = -1;
+                continue;
+            }
+
+            if (previous === -1) {
+                emit(code);
+            } else {
+                if (next < 4096) {
+                    prefixes[next] = previous;
+                    suffixes[next] = code < next ? firstByte(code) : firstByte(previous);
+                    lengths[next] = lengths[previous] + 1;
+                    next++;
+                }
+                if (code >= next) {
+                    throw new ParseError('Invalid LZW code in TIFF data', { format: 'tiff' });
+                }
+                emit(code);
+            }
+
+            previous = code;
+            if (next + 1 >= (1 << codeSize) && codeSize < 12) codeSize++;
+        }
+
+        return output;
+    }
+
+    function decodePackBits(input, expectedLength) {
+        const output = new Uint8Array(expectedLength);
+        let written = 0;
+        for (let i = 0; i < input.length && written < expectedLength;) {
+            const header = (input[i++] << 24) >> 24;
+            if (header >= 0) {
+                const count = Math.min(header + 1, expectedLength - written);
+                output.set(input.subarray(i, i + count), written);
+                i += header + 1;
+                written += count;
+            } else if (header !== -128) {
+                output.fill(input[i++], written, Math.min(written + 1 - header, expectedLength));
+                written += 1 - header;
+            }
+        }
+        return output;
+    }
+
+    // PhotometricInterpretation of colour-mapped images
+    const TIFF_PHOTOMETRIC_PALETTE = 3;
+
+    /**
+     * Baseline TIFF decoder: strips, uncompressed/PackBits/LZW (with horizontal predictor),
+     * bilevel, grayscale, palette and RGB(A) at 1/4/8/16 bits. Every IFD is a page.
+     * decodePage(index) returns { width, height, data: Uint8ClampedArray (RGBA), bitsPerSample, photometric, xResolution, yResolution, unit }.
+     */
+    class TiffDecoder {
+        constructor(bytes) {
+            this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+            const { view, little, firstIfd } = tiffView(this.bytes);
+            this.view = view;
+            this.little = little;
+            this.pages = [];
+
+            // Follow the IFD chain, guarding against loops
+            const seen = new Set();
+            for (let offset = firstIfd; offset && !seen.has(offset) && offset < this.bytes.length; ) {
+                seen.add(offset);
+                const entries = readIfdEntries(view, offset, little);
+                this.pages.push(entries);
+                offset = view.getUint32(offset + 2 + entries.length * 12, little);
+            }
+            if (this.pages.length === 0) {
+                throw new ParseError('TIFF file has no images', { format: 'tiff' });
+            }
+        }
+
+        static async fromFile(file) {
+            return new TiffDecoder(new Uint8Array(await file.arrayBuffer()));
+        }
+
+        get pageCount() {
+            return this.pages.length;
+        }
+
+        // Tag values of a page, always as arrays
+        readTags(index) {
+            const tags = {};
+            for (const entry of this.pages[index]) {
+                const value = entry.type === 7 ? undefined : readExifValue(this.view, entry, this.little);
+                if (value !== undefined) tags[entry.tag] = Array.isArray(value) ? value : [value];
+            }
+            return tags;
+        }
+
+        decodePage(index = 0) {
+            if (index < 0 || index >= this.pages.length) {
+                throw new InvalidOptionError(`TIFF page ${index} does not exist (${this.pages.length} pages)`, { option: 'page', value: index });
+            }
+
+            const tag = (name, fallback) => {
+                const value = tags[TIFF_TAGS[name]];
+                return value ? value : fallback;
+            };
+            const tags = this.readTags(index);
+            const [width] = tag('ImageWidth', [0]);
+            const [height] = tag('ImageLength', [0]);
+            const bitsPerSample = tag('BitsPerSample', [1])[0];
+            const [compression] = tag('Compression', [1]);
+            const [samples] = tag('SamplesPerPixel', [1]);
+            const [photometric] = tag('PhotometricInterpretation', [samples >= 3 ? 2 : 1]);
+            const [predictor] = tag('Predictor', [1]);
+            const [planar] = tag('PlanarConfiguration', [1]);
+            const extraSamples = tag('ExtraSamples', []);
+
+            if (!width || !height) {
+                throw new ParseError('TIFF page has no dimensions', { format: 'tiff' });
+            }
+            if (tags[TIFF_TAGS.TileWidth]) {
+                throw new UnsupportedInputError('Tiled TIFF images are not supported', { format: 'tiff' });
+            }
+            if (![1, 5, 32773].includes(compression)) {
+                throw new UnsupportedInputError(`Unsupported TIFF compression: ${compression}`, { format: 'tiff', compression });
+            }
+            if (planar !== 1 && samples > 1) {
+                throw new UnsupportedInputError('Planar TIFF images are not supported', { format: 'tiff' });
+            }
+            if (![1, 4, 8, 16].includes(bitsPerSample) || ![0, 1, 2, 3].includes(photometric)) {
+                throw new UnsupportedInputError(`Unsupported TIFF color format: ${bitsPerSample}-bit, photometric ${photometric}`, { format: 'tiff', bitsPerSample, photometric });
+            }
+            if (predictor !== 1 && !(predictor === 2 && bitsPerSample >= 8)) {
+                throw new UnsupportedInputError(`Unsupported TIFF predictor ${predictor} for ${bitsPerSample}-bit samples`, { format: 'tiff', predictor, bitsPerSample });
+            }
+
+            // Decompress every strip into one buffer of packed rows
+            const rowBytes = Math.ceil(width * samples * bitsPerSample / 8);
+            const offsets = tag('StripOffsets', []);
+            const counts = tag('StripByteCounts', []);
+            const rowsPerStrip = Math.min(tag('RowsPerStrip', [height])[0], height);
+            const raw = new Uint8Array(rowBytes * height);
+
+            offsets.forEach((offset, strip) => {
+                const rows = Math.min(rowsPerStrip, height - strip * rowsPerStrip);
+                if (rows <= 0) return;
+                const expected = rows * rowBytes;
+                const input = this.bytes.subarray(offset, offset + (counts[strip] || expected));
+                const decoded = compression === 5 ? decodeTiffLzw(input, expected)
+                    : compression === 32773 ? decodePackBits(input, expected)
+                        : input.subarray(0, expected);
+                raw.set(decoded.subarray(0, Math.min(expected, raw.length - strip * rowsPerStrip * rowBytes)), strip * rowsPerStrip * rowBytes);
+            });
+
+            // Horizontal differencing: each sample stores the change from its left neighbour
+            if (predictor === 2 && bitsPerSample === 8) {
+                for (let y = 0; y < height; y++) {
+                    const row = y * rowBytes;
+                    for (let i = samples; i < width * samples; i++) raw[row + i] = (raw[row + i] + raw[row + i - samples]) & 0xFF;
+                }
+            } else if (predictor === 2) {
+                // 16-bit samples are differenced as whole words in the file's byte order
+                const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+                for (let y = 0; y < height; y++) {
+                    const row = y * rowBytes;
+                    for (let i = samples; i < width * samples; i++) {
+                        const at = row + i * 2;
+                        view.setUint16(at, (view.getUint16(at, this.little) + view.getUint16(at - samples * 2, this.little)) & 0xFFFF, this.little);
+                    }
+                }
+            }
+
+            const data = this.toRgba(raw, { width, height, rowBytes, bitsPerSample, samples, photometric, extraSamples, colorMap: tag('ColorMap', null) });
+            const [xResolution] = tag('XResolution', [null]);
+            const [yResolution] = tag('YResolution', [null]);
+            const [unit] = tag('ResolutionUnit', [2]);
+
+            return { width, height, data, bitsPerSample, photometric, xResolution, yResolution, unit: unit === 3 ? 'cm' : unit === 2 ? 'inch' : null };
+        }
+
+        toRgba(raw, { width, height, rowBytes, bitsPerSample, samples, photometric, extraSamples, colorMap }) {
+            const data = new Uint8ClampedArray(width * height * 4);
+            const maxValue = (1 << Math.min(bitsPerSample, 8)) - 1;
+            const littleSamples = this.little;
+
+            // Sample n of a row, scaled to 0..255 (16-bit keeps the high byte)
+            const sample = (row, n) => {
+                if (bitsPerSample === 8) return raw[row + n];
+                if (bitsPerSample === 16) return raw[row + n * 2 + (littleSamples ? 1 : 0)];
+                const bit = n * bitsPerSample;
+                const value = (raw[row + (bit >> 3)] >> (8 - bitsPerSample - (bit & 7))) & maxValue;
+                return photometric === 3 ? value : Math.round(value * 255 / maxValue);
+            };
+            // Palette index before scaling
+            const paletteIndex = (row, n) => {
+                if (bitsPerSample === 8) return raw[row + n];
+                if (bitsPerSample === 16) return (raw[row + n * 2 + (littleSamples ? 1 : 0)] << 8) | raw[row + n * 2 + (littleSamples ? 0 : 1)];
+                const bit = n * bitsPerSample;
+                return (raw[row + (bit >> 3)] >> (8 - bitsPerSample - (bit & 7))) & maxValue;
+            };
+
+            const colors = colorMap ? colorMap.length / 3 : 0;
+            const hasAlpha = extraSamples.length > 0 && samples > (photometric === 2 ? 3 : 1);
+            const premultiplied = hasAlpha && extraSamples[0] === 1;
+
+            for (let y = 0; y < height; y++) {
+                const row = y * rowBytes;
+                for (let x = 0; x < width; x++) {
+                    const out = (y * width + x) * 4;
+                    const first = x * samples;
+
+                    if (photometric === 2) {
+                        data[out] = sample(row, first);
+                        data[out + 1] = sample(row, first + 1);
+                        data[out + 2] = sample(row, first + 2);
+                    } else if (photometric === 3) {
+                        const index = paletteIndex(row, first);
+                        // ColorMap holds all reds, then greens, then blues as 16-bit values
+                        data[out] = colorMap[index] >> 8;
+                        data[out + 1] = colorMap[colors + index] >> 8;
+                        data[out + 2] = colorMap[colors * 2 + index] >> 8;
+                    } else {
+                        const gray = sample(row, first);
+                        data[out] = data[out + 1] = data[out + 2] = photometric === 0 ? 255 - gray : gray;
+                    }
+
+                    const alpha = hasAlpha ? sample(row, first + (photometric === 2 ? 3 : 1)) : 255;
+                    data[out + 3] = alpha;
+                    if (premultiplied && alpha > 0 && alpha < 255) {
+                        for (let c = 0; c < 3; c++) data[out + c] = data[out + c] * 255 / alpha;
+                    }
+                }
+            }
+            return data;
+        }
+    }
+
+    /**
+     * IMAGE CONVERTERS
+     */
+
+    // JPG to PNG Converter
+    class JpgToPngConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'JPG to PNG',
+                category: 'image',
+                inputs: ['jpg'],
+                output: 'png',
+                dependencies: [],
+                options: { ...IMAGE_TRANSFORM_OPTIONS, ...IMAGE_METADATA_OPTIONS, ...PNG_PALETTE_OPTIONS }
+            };
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from JPG to PNG`);
+
+            // Fill with white background for transparency support
+            const { blob, width, height, exif, colorCount } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: 1.0,
+                backgroundColor: 'white'
+            });
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'png'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                exif,
+                colorCount: colorCount || null
+            };
+        }
+    }
+
+    // PNG to JPG Converter
+    class PngToJpgConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'PNG to JPG',
+                category: 'image',
+                inputs: ['png'],
+                output: 'jpg',
+                dependencies: [],
+                options: {
+                    quality: { type: 'number', default: 0.9, min: 0.1, max: 1, description: 'JPG quality' },
+                    backgroundColor: { type: 'color', default: '#FFFFFF', description: 'Background color for transparent areas' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...TARGET_SIZE_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.quality = options.quality || 0.9;
+            this.backgroundColor = options.backgroundColor || '#FFFFFF';
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from PNG to JPG`);
+
+            // Fill background color (important for PNG transparency)
+            const { blob, width, height, ...encoding } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: this.quality,
+                backgroundColor: this.backgroundColor
+            });
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                quality: this.quality,
+                ...encoding
+            };
+        }
+    }
+
+    // WebP to JPG Converter
+    class WebpToJpgConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'WebP to JPG',
+                category: 'image',
+                inputs: ['webp'],
+                output: 'jpg',
+                dependencies: [],
+                options: {
+                    quality: { type: 'number', default: 0.9, min: 0.1, max: 1, description: 'JPG quality' },
+                    backgroundColor: { type: 'color', default: '#FFFFFF', description: 'Background color for transparent areas' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...TARGET_SIZE_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.quality = options.quality || 0.9;
+            this.backgroundColor = options.backgroundColor || '#FFFFFF';
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from WebP to JPG`);
+
+            // Fill background color (important for WebP transparency)
+            const { blob, width, height, ...encoding } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: this.quality,
+                backgroundColor: this.backgroundColor
+            });
+
+            if (!blob) {
+                throw new EncoderUnsupportedError('Failed to convert WebP to JPG. Browser may not support WebP format.', { file, mimeType: this.outputType });
+            }
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                quality: this.quality,
+                ...encoding
+            };
+        }
+    }
+
+
+    // PNG to WebP Converter
+    class PngToWebpConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'PNG to WebP',
+                category: 'image',
+                inputs: ['png'],
+                output: 'webp',
+                dependencies: [],
+                options: {
+                    quality: { type: 'number', default: 0.8, min: 0.1, max: 1, description: 'WebP quality' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...TARGET_SIZE_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.quality = options.quality || 0.8;
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from PNG to WebP`);
+
+            const { blob, width, height, ...encoding } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: this.quality
+            });
+
+            if (!blob) {
+                throw new EncoderUnsupportedError('Failed to convert PNG to WebP. Browser may not support WebP format.', { file, mimeType: this.outputType });
+            }
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'webp'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                quality: this.quality,
+                ...encoding
+            };
+        }
+    }
+
+    // JPG to WebP Converter
+    class JpgToWebpConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'JPG to WebP',
+                category: 'image',
+                inputs: ['jpg'],
+                output: 'webp',
+                dependencies: [],
+                options: {
+                    quality: { type: 'number', default: 0.8, min: 0.1, max: 1, description: 'WebP quality' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...TARGET_SIZE_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.quality = options.quality || 0.8;
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from JPG to WebP`);
+
+            const { blob, width, height, ...encoding } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: this.quality
+            });
+
+            if (!blob) {
+                throw new EncoderUnsupportedError('Failed to convert JPG to WebP. Browser may not support WebP format.', { file, mimeType: this.outputType });
+            }
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'webp'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                quality: this.quality,
+                ...encoding
+            };
+        }
+    }
+
+    // HEIC to JPG Converter (requires heic2any library)
+    class HeicToJpgConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'HEIC to JPG',
+                category: 'image',
+                inputs: ['heic'],
+                output: 'jpg',
+                dependencies: ['heic2any'],
+                options: {
+                    quality: { type: 'number', default: 0.9, min: 0.1, max: 1, description: 'JPG quality' },
+                    ...IMAGE_TRANSFORM_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.quality = options.quality || 0.9;
+            
+            if (typeof heic2any === 'undefined' && typeof window !== 'undefined') {
+                console.warn('heic2any library not found. Please include heic2any library for HEIC to JPG conversion.');
+            }
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from HEIC to JPG`);
+
+            if (typeof heic2any === 'undefined') {
+                throw new MissingDependencyError('heic2any library is required for HEIC to JPG conversion. Please include it in your page.', { file, dependency: 'heic2any' });
+            }
+
+            // Transforms need a lossless intermediate so the JPG is only encoded once
+            const transform = pickTransform(this.options);
+            let decoded;
+
+            try {
+                this.reportProgress('decode', 0);
+                const convertedBlob = await this.withAbort(heic2any({
+                    blob: file,
+                    toType: transform ? 'image/png' : 'image/jpeg',
+                    quality: this.quality
+                }));
+                decoded = Array.isArray(convertedBlob) ? convertedBlob[0] : convertedBlob;
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                throw new DecodeError(`Failed to convert HEIC to JPG: ${error.message}`, { file, cause: error });
+            }
+
+            let blob = decoded;
+            let width;
+            let height;
+
+            if (transform) {
+                ({ blob, width, height } = await this.renderImage(decoded, {
+                    type: this.outputType,
+                    quality: this.quality,
+                    backgroundColor: 'white',
+                    transform
+                }));
+            } else {
+                const img = await this.loadImage(decoded);
+                ({ width, height } = img);
+                URL.revokeObjectURL(img.src);
+            }
+            this.reportProgress('encode', 1);
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                quality: this.quality
+            };
+        }
+    }
+
+    // SVG to PNG Converter
+    class SvgToPngConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'SVG to PNG',
+                category: 'image',
+                inputs: ['svg'],
+                output: 'png',
+                dependencies: [],
+                options: {
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    width: { type: 'number', default: null, min: 1, description: 'Result width in pixels' },
+                    height: { type: 'number', default: null, min: 1, description: 'Result height in pixels' },
+                    scale: { type: 'number', default: 1, min: 0.01, max: 32, description: 'Scale for high resolution' },
+                    sizes: { type: 'array', default: null, description: 'Widths to export, e.g. [16, 32, 512]; produces a ZIP with one PNG each' },
+                    backgroundColor: { type: 'color', default: 'transparent', description: 'SVG background' },
+                    ...SVG_RESOURCE_OPTIONS,
+                    ...PNG_PALETTE_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.width = options.width || null;
+            this.height = options.height || null;
+            this.scale = options.scale || 1;
+            this.sizes = options.sizes || null;
+            this.backgroundColor = options.backgroundColor || 'transparent';
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from SVG to PNG`);
+
+            if (this.sizes && (this.sizes.length === 0 || this.sizes.some(size => !Number.isFinite(size) || size < 1))) {
+                throw new InvalidOptionError('SVG sizes must be positive pixel widths', { file, option: 'sizes', value: this.sizes });
+            }
+
+            const svg = await this.prepareSvg(await file.text(), file);
+            if (this.sizes) return this.convertSizes(file, svg);
+
+            const { blob, width, height, colorCount } = await this.svgToPng(svg, this.width, this.height);
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'png'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                scale: this.scale,
+                colorCount: colorCount || null,
+                failedResources: svg.failed
+            };
+        }
+
+        // One PNG per entry of options.sizes, bundled in a ZIP
+        async convertSizes(file, svg) {
+            const sizes = [...new Set(this.sizes)];
+            const zip = new ZipWriter();
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            const images = [];
+
+            for (const size of sizes) {
+                this.throwIfAborted();
+                const { blob, width, height, colorCount } = await this.svgToPng(svg, size, null);
+                const filename = `${baseName}-${size}.png`;
+                await zip.addFile(filename, blob, { compress: false });
+                images.push({ blob, filename, mimeType: this.outputType, size, width, height, colorCount: colorCount || null });
+                this.reportProgress('encode', images.length / sizes.length, { image: images.length, images: sizes.length });
+            }
+
+            this.reportProgress('package', 0);
+            const blob = zip.generate();
+            this.reportProgress('package', 1);
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'zip'),
+                mimeType: 'application/zip',
+                originalSize: file.size,
+                newSize: blob.size,
+                images,
+                failedResources: svg.failed
+            };
+        }
+
+        /**
+         * Rasterize a prepared SVG (see prepareSvg; raw SVG text is also accepted).
+         * Given only one of width/height, the other follows the SVG's aspect ratio;
+         * given neither, the intrinsic size times options.scale is used.
+         */
+        async svgToPng(svg, width = this.width, height = this.height) {
+            if (typeof svg === 'string') svg = await this.prepareSvg(svg);
+
+            const transform = pickTransform({ ...this.options, width: null, height: null }) || {};
+            const { crop } = transform;
+            const baseWidth = crop ? crop.width : svg.width;
+            const baseHeight = crop ? crop.height : svg.height;
+            const rasterWidth = Math.max(1, Math.round(width || (height ? height * baseWidth / baseHeight : baseWidth * this.scale)));
+            const rasterHeight = Math.max(1, Math.round(height || (width ? width * baseHeight / baseWidth : baseHeight * this.scale)));
+            const turned = (transform.rotate || 0) % 180 !== 0;
+            const targetWidth = turned ? rasterHeight : rasterWidth;
+            const targetHeight = turned ? rasterWidth : rasterHeight;
+
+            // Render the vector at least as large as the target so nothing is upscaled from a bitmap
+            const factor = Math.max(rasterWidth / baseWidth, rasterHeight / baseHeight);
+            const sourceWidth = Math.max(1, Math.round(svg.width * factor));
+            const sourceHeight = Math.max(1, Math.round(svg.height * factor));
+            let img;
+
+            try {
+                this.reportProgress('decode', 0);
+                img = await this.loadImage(this.svgToBlob(svg, sourceWidth, sourceHeight));
+                this.reportProgress('decode', 1);
+            } catch (error) {
+                throw isAbortError(error) ? error : new DecodeError('Failed to load SVG', { cause: error });
+            }
+
+            // Crop rectangles are given in SVG pixels; scale them to the rendered size
+            const canvas = this.transformImage(img, sourceWidth, sourceHeight, {
+                ...transform,
+                crop: crop && { x: crop.x * factor, y: crop.y * factor, width: crop.width * factor, height: crop.height * factor },
+                width: targetWidth,
+                height: targetHeight,
+                fit: 'fill'
+            }, this.backgroundColor !== 'transparent' ? this.backgroundColor : null);
+            URL.revokeObjectURL(img.src);
+            await this.applyWatermark(canvas, transform.watermark);
+
+            if (this.options.colors) {
+                const encoded = await this.encodePngCanvas(canvas);
+                this.reportProgress('encode', 1);
+                return encoded;
+            }
+
+            const blob = await this.canvasToBlob(canvas, this.outputType);
+            this.reportProgress('encode', 1);
+            if (!blob) {
+                throw new EncoderUnsupportedError('Failed to convert SVG to PNG', { mimeType: this.outputType });
+            }
+            return { blob, width: canvas.width, height: canvas.height };
+        }
+    }
+
+
+    // PNG to ICO Converter; with { pack: true } produces a complete favicon pack ZIP
+    class PngToIcoConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'PNG to ICO',
+                category: 'image',
+                inputs: ['png'],
+                output: 'ico',
+                dependencies: [],
+                options: {
+                    sizes: { type: 'array', default: [16, 32, 48, 64, 256], description: 'Icon sizes in pixels (1-256)' },
+                    pack: { type: 'boolean', default: false, description: 'Favicon pack ZIP with PNG icons and site.webmanifest' },
+                    name: { type: 'string', default: null, description: 'App name for site.webmanifest' },
+                    shortName: { type: 'string', default: null, description: 'Short app name for site.webmanifest' },
+                    themeColor: { type: 'color', default: '#ffffff', description: 'Theme color for site.webmanifest' },
+                    backgroundColor: { type: 'color', default: '#ffffff', description: 'Apple touch icon and splash background' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.sizes = options.sizes || [16, 32, 48, 64, 256];
+            this.pack = options.pack || false;
+            this.name = options.name || null;
+            this.shortName = options.shortName || null;
+            this.themeColor = options.themeColor || '#ffffff';
+            this.backgroundColor = options.backgroundColor || '#ffffff';
+        }
+
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+
+            const sizes = [...new Set(this.sizes)].sort((a, b) => a - b);
+            if (sizes.length === 0 || sizes.some(size => !Number.isInteger(size) || size < 1 || size > 256)) {
+                throw new InvalidOptionError('Icon sizes must be whole numbers between 1 and 256', { file, option: 'sizes', value: this.sizes });
+            }
+
+            this.reportProgress('decode', 0);
+            const img = await this.loadSource(file);
+            this.reportProgress('decode', 1, { width: img.width, height: img.height });
+
+            try {
+                return this.pack
+                    ? await this.createPack(file, img)
+                    : await this.createIco(file, img, sizes);
+            } finally {
+                URL.revokeObjectURL(img.src);
+            }
+        }
+
+        async loadSource(file) {
+            return this.loadImage(file);
+        }
+
+        // Square icon of the given size; non-square sources are centred on a transparent background
+        async renderIcon(img, size, backgroundColor = null) {
+            const canvas = this.adjustCanvas(this.transformImage(img, img.width || size, img.height || size, { width: size, height: size, fit: 'contain' }, backgroundColor));
+            const blob = await this.canvasToBlob(canvas, 'image/png');
+            if (!blob) {
+                throw new EncoderUnsupportedError('Failed to encode icon as PNG', { mimeType: 'image/png' });
+            }
+            return blob;
+        }
+
+        // progressShare: the part of the encode stage this ICO stands for
+        async createIco(file, img, sizes, progressShare = 1) {
+            const images = [];
+            for (const [index, size] of sizes.entries()) {
+                const blob = await this.renderIcon(img, size);
+                images.push({ size, data: new Uint8Array(await blob.arrayBuffer()) });
+                this.reportProgress('encode', (index + 1) / sizes.length * progressShare, { size });
+            }
+
+            const blob = buildIco(images);
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'ico'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                sizes
+            };
+        }
+
+        async createPack(file, img) {
+            const zip = new ZipWriter();
+            const icons = [
+                { name: 'favicon-16x16.png', size: 16 },
+                { name: 'favicon-32x32.png', size: 32 },
+                // iOS shows transparent areas as black, so the touch icon gets a background
+                { name: 'apple-touch-icon.png', size: 180, backgroundColor: this.backgroundColor },
+                { name: 'android-chrome-192x192.png', size: 192 },
+                { name: 'android-chrome-512x512.png', size: 512 }
+            ];
+            const steps = icons.length + 2;
+
+            const ico = await this.createIco(file, img, [16, 32, 48], 1 / steps);
+            await zip.addFile('favicon.ico', ico.blob, { compress: false });
+
+            for (const [index, icon] of icons.entries()) {
+                const blob = await this.renderIcon(img, icon.size, icon.backgroundColor);
+                await zip.addFile(icon.name, blob, { compress: false });
+                this.reportProgress('encode', (index + 2) / steps, { size: icon.size });
+            }
+
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            const manifest = {
+                name: this.name || baseName,
+                short_name: this.shortName || this.name || baseName,
+                icons: [
+                    { src: '/android-chrome-192x192.png', sizes: '192x192', type: 'image/png' },
+                    { src: '/android-chrome-512x512.png', sizes: '512x512', type: 'image/png' }
+                ],
+                theme_color: this.themeColor,
+                background_color: this.backgroundColor,
+                display: 'standalone'
+            };
+            await zip.addFile('site.webmanifest', JSON.stringify(manifest, null, 2));
+
+            this.reportProgress('package', 0);
+            const blob = zip.generate();
+            this.reportProgress('package', 1);
+
+            return {
+                blob,
+                filename: `${baseName}-favicons.zip`,
+                mimeType: 'application/zip',
+                originalSize: file.size,
+                newSize: blob.size,
+                files: ['favicon.ico', ...icons.map(icon => icon.name), 'site.webmanifest'],
+                manifest
+            };
+        }
+    }
+
+    // SVG to ICO Converter; the vector source is rasterized once at the largest size and scaled down for the others
+    class SvgToIcoConverter extends PngToIcoConverter {
+        static get metadata() {
+            const metadata = super.metadata;
+            return { ...metadata, label: 'SVG to ICO', inputs: ['svg'], options: { ...metadata.options, ...SVG_RESOURCE_OPTIONS } };
+        }
+
+        async loadSource(file) {
+            const svg = await this.prepareSvg(await file.text(), file);
+            // Rasterize once at the largest icon size (512 for favicon packs)
+            const largest = this.pack ? 512 : Math.max(...this.sizes);
+            const factor = largest / Math.max(svg.width, svg.height);
+            const svgBlob = this.svgToBlob(svg, Math.max(1, Math.round(svg.width * factor)), Math.max(1, Math.round(svg.height * factor)));
+            try {
+                return await this.loadImage(svgBlob);
+            } catch (error) {
+                throw isAbortError(error) ? error : new DecodeError('Failed to load SVG', { file, cause: error });
+            }
+        }
+    }
+
+    // Images to PDF Converter; built-in PDF writer, or PDF-lib when requested
+    class JpgToPdfConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Images to PDF',
+                category: 'image',
+                inputs: ['jpg', 'png', 'webp', 'heic', 'svg', 'gif', 'bmp', 'tiff', 'avif'],
+                output: 'pdf',
+                dependencies: [],
+                options: {
+                    engine: { type: 'string', default: 'auto', enum: ['auto', 'builtin', 'pdf-lib'], description: 'PDF writer (auto: built-in unless editDocument needs PDF-lib)' },
+                    editDocument: { type: 'function', default: null, description: 'Called with (pdfDoc, PDFLib) before saving; requires PDF-lib' },
+                    ...PDF_INFO_OPTIONS,
+                    pageSize: { type: ['string', 'array', 'object'], default: 'A4', description: "A3, A4, A5, Letter, Legal, or [width, height] in points" },
+                    orientation: { type: 'string', default: 'auto', enum: ['auto', 'portrait', 'landscape'], description: 'Page orientation (auto: whichever shows the images larger)' },
+                    margin: { type: 'number', default: 0, min: 0, description: 'Page margin in points' },
+                    placement: { type: 'string', default: 'fit', enum: ['fit', 'fill', 'actual'], description: 'Scale images to fit, fill the cell (clipped) or keep their size' },
+                    autoScale: { type: 'boolean', default: true, description: "false is the same as placement: 'actual'" },
+                    columns: { type: 'number', default: 1, min: 1, description: 'Images per row' },
+                    rows: { type: 'number', default: 1, min: 1, description: 'Rows of images per page' },
+                    gap: { type: 'number', default: 0, min: 0, description: 'Space between grid cells in points' },
+                    quality: { type: 'number', default: 0.92, min: 0.1, max: 1, description: 'JPG quality for re-encoded images' },
+                    backgroundColor: { type: 'color', default: '#FFFFFF', description: 'Background behind transparent images' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS,
+                    ...WATERMARK_OPTIONS
+                }
+            };
+        }
+
+        constructor(options = {}) {
+            super(options);
+            this.pageSize = options.pageSize || 'A4';
+            this.orientation = options.orientation || 'auto';
+            this.margin = options.margin || 0;
+            this.placement = options.placement || (options.autoScale === false ? 'actual' : 'fit');
+            this.columns = Math.floor(options.columns || 1);
+            this.rows = Math.floor(options.rows || 1);
+            this.gap = options.gap || 0;
+            this.quality = options.quality || 0.92;
+            this.backgroundColor = options.backgroundColor || '#FFFFFF';
+            this.engine = options.engine || 'auto';
+            // PDF-lib is only needed for explicit use or for editing the document
+            this.usePdfLib = this.engine === 'pdf-lib' || (this.engine === 'auto' && typeof options.editDocument === 'function');
+        }
+
+        async convert(files) {
+            // Handle both single file and array
+            const fileList = Array.isArray(files) ? files : [files];
+            
+            if (this.usePdfLib && typeof PDFLib === 'undefined') {
+                throw new MissingDependencyError('PDF-lib library is required for editDocument or engine: pdf-lib. Please include it in your page.', { file: fileList[0], dependency: 'PDFLib' });
+            }
+
+            const size = resolvePdfPageSize(this.pageSize);
+            if (!size) {
+                throw new InvalidOptionError(`Unknown page size: ${JSON.stringify(this.pageSize)}`, { file: fileList[0], option: 'pageSize', value: this.pageSize });
+            }
+            const layout = { margin: this.margin, columns: this.columns, rows: this.rows, gap: this.gap, placement: this.placement };
+            // Either orientation may be used, so the grid has to fit along the short side
+            const shortSide = Math.min(...size);
+            if (shortSide - this.margin * 2 - this.gap * (Math.max(this.columns, this.rows) - 1) <= 0) {
+                throw new InvalidOptionError('Margins and gaps leave no room for images on the page', { file: fileList[0], option: 'margin', value: this.margin });
+            }
+
+            this.log(`Converting ${fileList.length} image(s) to PDF${this.usePdfLib ? ' with PDF-lib' : ''}`);
+
+            const { title, author, subject, creator } = this.options;
+            const pdfDoc = this.usePdfLib ? await PDFLib.PDFDocument.create() : new PdfWriter({ title, author, subject, creator });
+            const exif = [];
+            const images = [];
+
+            for (const [index, file] of fileList.entries()) {
+                this.reportProgress('decode', index / fileList.length, { image: index + 1, images: fileList.length });
+                const detected = await this.validateFile(file, this.supportedInputs);
+                const metadata = await this.readImageMetadata(file);
+                exif.push(metadata ? metadata.exif : null);
+
+                const embeddable = await this.embeddableImage(file, detected ? detected.format : null, metadata);
+                try {
+                    images.push(await this.embedImage(pdfDoc, embeddable));
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    throw new DecodeError(`Unable to process image: ${file.name}`, { file, cause: error });
+                }
+            }
+
+            const watermark = normalizeWatermark(this.options.watermark);
+            const overlay = watermark ? await this.preparePdfWatermark(pdfDoc, watermark, size) : null;
+
+            const perPage = this.columns * this.rows;
+            const pageCount = Math.ceil(images.length / perPage);
+            for (let start = 0; start < images.length; start += perPage) {
+                const pageImages = images.slice(start, start + perPage);
+                const [pageWidth, pageHeight] = orientPdfPage(size, this.orientation, pageImages, layout);
+                const placements = layoutPdfPage(pageWidth, pageHeight, pageImages, layout)
+                    .map((placed, i) => ({ ...placed, image: pageImages[i] }));
+                if (overlay) placements.push(...this.pdfWatermarkDraws(overlay, watermark, pageWidth, pageHeight));
+
+                if (this.usePdfLib) {
+                    this.drawPdfLibPage(pdfDoc.addPage([pageWidth, pageHeight]), placements);
+                } else {
+                    pdfDoc.addPage(pageWidth, pageHeight, placements);
+                }
+                this.reportProgress('encode', (start / perPage + 1) / pageCount, { page: start / perPage + 1, pages: pageCount });
+            }
+
+            this.reportProgress('package', 0);
+            if (this.usePdfLib) {
+                if (title) pdfDoc.setTitle(title);
+                if (author) pdfDoc.setAuthor(author);
+                if (subject) pdfDoc.setSubject(subject);
+                if (creator) pdfDoc.setCreator(creator);
+                if (typeof this.options.editDocument === 'function') {
+                    await this.options.editDocument(pdfDoc, PDFLib);
+                }
+            }
+            const pdfBytes = await pdfDoc.save();
+            this.reportProgress('package', 1);
+            const blob = new Blob([pdfBytes], { type: this.outputType });
+
+            const filename = fileList.length === 1 
+                ? OmniConvertCore.generateFilename(fileList[0].name, 'pdf')
+                : `converted-images-${new Date().toISOString().slice(0, 10)}.pdf`;
+
+            return {
+                blob,
+                filename,
+                mimeType: this.outputType,
+                originalSize: fileList.reduce((sum, file) => sum + file.size, 0),
+                newSize: blob.size,
+                pageCount,
+                imageCount: images.length,
+                engine: this.usePdfLib ? 'pdf-lib' : 'builtin',
+                exif
+            };
+        }
+
+        // Embed JPEG or PNG bytes; PNG layouts the built-in writer cannot reuse are decoded to pixels
+        async embedImage(pdfDoc, { bytes, format }) {
+            if (this.usePdfLib) {
+                return format === 'png' ? pdfDoc.embedPng(bytes) : pdfDoc.embedJpg(bytes);
+            }
+            if (format === 'jpg') return pdfDoc.addJpeg(bytes);
+
+            const embedded = await pdfDoc.addPng(bytes);
+            if (embedded) return embedded;
+
+            const img = await this.loadImage(new Blob([bytes], { type: 'image/png' }));
+            const canvas = this.transformImage(img, img.width, img.height);
+            URL.revokeObjectURL(img.src);
+            return pdfDoc.addPixels(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+        }
+
+        // Draws in PdfWriter.addPage form; PDF-lib rotates around the drawing origin rather than the box centre
+        drawPdfLibPage(page, placements) {
+            for (const draw of placements) {
+                const { image, text, x, y, width, height, clip, opacity = 1, rotate = 0 } = draw;
+                const [cos, sin, , , originX, originY] = pdfBoxMatrix(draw);
+                if (text) {
+                    const baseline = (height - PDF_STANDARD_FONTS[draw.baseFont].capHeight * draw.size / 1000) / 2;
+                    page.drawText(text, {
+                        x: originX - baseline * sin,
+                        y: originY + baseline * cos,
+                        size: draw.size,
+                        font: draw.font,
+                        color: PDFLib.rgb(...draw.color),
+                        opacity,
+                        rotate: PDFLib.degrees(rotate)
+                    });
+                    continue;
+                }
+
+                if (clip) {
+                    page.pushOperators(PDFLib.pushGraphicsState(), PDFLib.rectangle(clip.x, clip.y, clip.width, clip.height), PDFLib.clip(), PDFLib.endPath());
+                }
+                page.drawImage(image, rotate || opacity < 1
+                    ? { x: originX, y: originY, width, height, opacity, rotate: PDFLib.degrees(rotate) }
+                    : { x, y, width, height });
+                if (clip) page.pushOperators(PDFLib.popGraphicsState());
             }
         }
 
-        async convert(file) {
-            throw new Error('Convert method must be implemented by subclass');
-        }
+        /**
+         * Embed what the watermark needs once for all pages: a standard font for text it can encode,
+         * otherwise an image (the logo, or the text drawn by the browser) rendered at three times its size on the page.
+         */
+        async preparePdfWatermark(pdfDoc, mark, pageSize) {
+            const [red, green, blue, alpha] = this.colorComponents(mark.color);
+            const fontSize = mark.fontSize || Math.max(12, Math.round(Math.min(...pageSize) * 0.05));
+
+            if (mark.text && pdfWinAnsi(mark.text) !== null) {
+                const baseFont = pdfStandardFont(mark.font, mark.fontWeight);
+                const font = this.usePdfLib ? await pdfDoc.embedFont(baseFont) : pdfDoc.addFont(baseFont);
+                return { font, baseFont, fontSize, color: [red, green, blue], alpha };
+            }
 
-        validateFile(file, allowedTypes) {
-            if (!OmniConvertCore.validateFileType(file, allowedTypes)) {
-                throw new Error(`Invalid file type. Expected: ${allowedTypes.join(', ')}`);
+            const scale = 3;
+            let canvas;
+            let width = null;
+            if (mark.text) {
+                const measure = this.createCanvas(1, 1).getContext('2d');
+                const font = `${mark.fontWeight} ${fontSize * scale}px ${mark.font}`;
+                measure.font = font;
+                canvas = this.createCanvas(Math.max(1, Math.ceil(measure.measureText(mark.text).width)), Math.ceil(fontSize * scale * 1.3));
+                const ctx = canvas.getContext('2d');
+                ctx.font = font;
+                ctx.fillStyle = mark.color;
+                ctx.textBaseline = 'middle';
+                ctx.fillText(mark.text, 0, canvas.height / 2);
+                width = canvas.width / scale;
+            } else {
+                // Wide enough for the widest page when the logo width is relative
+                const pixelWidth = Math.round((mark.width || Math.max(...pageSize) * 0.2) * scale);
+                const logo = await this.loadWatermarkImage(mark.image, pixelWidth);
+                canvas = this.transformImage(logo, logo.width, logo.height, { width: pixelWidth });
+                if (logo !== mark.image) URL.revokeObjectURL(logo.src);
+            }
+
+            let image;
+            if (this.usePdfLib) {
+                const blob = await this.canvasToBlob(canvas, 'image/png');
+                image = await pdfDoc.embedPng(await blob.arrayBuffer());
+            } else {
+                image = await pdfDoc.addPixels(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
             }
+            return { image, width, aspect: canvas.width / canvas.height, alpha: 1 };
         }
 
-        async loadImage(file) {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.onload = () => resolve(img);
-                img.onerror = () => reject(new Error(`Failed to load image: ${file.name}`));
-                img.src = URL.createObjectURL(file);
-            });
+        // Watermark draws for one page; placements use a top-left origin and clockwise rotation, PDF the opposite
+        pdfWatermarkDraws(overlay, mark, pageWidth, pageHeight) {
+            const boxWidth = overlay.font ? pdfTextWidth(mark.text, overlay.baseFont, overlay.fontSize)
+                : overlay.width || mark.width || pageWidth * 0.2;
+            const boxHeight = overlay.font ? overlay.fontSize : boxWidth / overlay.aspect;
+            const content = overlay.font
+                ? { text: mark.text, font: overlay.font, baseFont: overlay.baseFont, size: overlay.fontSize, color: overlay.color }
+                : { image: overlay.image };
+
+            return watermarkPlacements(pageWidth, pageHeight, boxWidth, boxHeight, mark).map(({ x, y }) => ({
+                ...content,
+                x: x - boxWidth / 2,
+                y: pageHeight - y - boxHeight / 2,
+                width: boxWidth,
+                height: boxHeight,
+                rotate: -mark.rotate,
+                opacity: mark.opacity * overlay.alpha
+            }));
         }
 
-        createCanvas(width, height) {
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            return canvas;
+        // CSS color as [red, green, blue, alpha] from 0 to 1
+        colorComponents(color) {
+            const ctx = this.createCanvas(1, 1).getContext('2d');
+            ctx.fillStyle = color;
+            ctx.fillRect(0, 0, 1, 1);
+            const [red, green, blue, alpha] = ctx.getImageData(0, 0, 1, 1).data;
+            return alpha === 0 ? [0, 0, 0, 0] : [red / 255, green / 255, blue / 255, alpha / 255];
+        }
+
+        /**
+         * JPEG or PNG bytes a PDF can embed directly. Upright JPEGs and opaque PNGs pass through;
+         * rotated JPEGs, transparent PNGs and every other format are re-encoded through canvas
+         * (photo formats as JPEG, graphics as PNG) over options.backgroundColor.
+         */
+        async embeddableImage(file, format, metadata) {
+            const { adjustments } = this.options;
+            const converterOptions = { signal: this.options.signal, enableLogging: this.options.enableLogging, adjustments };
+            // Adjusted images always have to be re-encoded
+            const transform = pickTransform({ adjustments });
+
+            if (format === 'jpg' && !transform && !(metadata && metadata.orientation > 1)) {
+                return { bytes: await file.arrayBuffer(), format: 'jpg' };
+            }
+            if (format === 'png' && !transform) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (!pngHasAlpha(bytes)) return { bytes, format: 'png' };
+            }
+            if (format === 'heic') {
+                const { blob } = await new HeicToJpgConverter({ ...converterOptions, quality: this.quality }).convert(file);
+                return { bytes: await blob.arrayBuffer(), format: 'jpg' };
+            }
+            if (format === 'svg') {
+                // Twice the intrinsic size keeps vector art sharp at typical page sizes
+                const { blob } = await new SvgToPngConverter({ ...converterOptions, scale: 2, backgroundColor: this.backgroundColor }).convert(file);
+                return { bytes: await blob.arrayBuffer(), format: 'png' };
+            }
+
+            const photo = ['jpg', 'webp', 'avif'].includes(format);
+            // PDF viewers ignore EXIF orientation, so rotated photos are re-encoded upright
+            const { blob } = await this.renderImage(file, {
+                type: photo ? 'image/jpeg' : 'image/png',
+                quality: this.quality,
+                backgroundColor: this.backgroundColor,
+                transform
+            });
+            if (!blob) {
+                throw new EncoderUnsupportedError(`Failed to re-encode ${file.name} for PDF`, { file });
+            }
+            return { bytes: await blob.arrayBuffer(), format: photo ? 'jpg' : 'png' };
         }
     }
 
-    /**
-     * IMAGE CONVERTERS
-     */
 
-    // JPG to PNG Converter
-    class JpgToPngConverter extends BaseConverter {
-        constructor(options = {}) {
-            super(options);
-            this.supportedInputs = ['image/jpeg', 'image/jpg', '.jpg', '.jpeg'];
-            this.outputType = 'image/png';
+    // PNG optimizer: re-encodes with the built-in encoder, losslessly or quantized with `colors`
+    class PngOptimizeConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Optimize PNG',
+                category: 'image',
+                inputs: ['png'],
+                output: 'png',
+                dependencies: [],
+                options: { ...PNG_PALETTE_OPTIONS, ...IMAGE_TRANSFORM_OPTIONS }
+            };
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from JPG to PNG`);
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Optimizing ${file.name}`);
 
+            this.reportProgress('decode', 0);
             const img = await this.loadImage(file);
-            const canvas = this.createCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
+            this.reportProgress('decode', 1, { width: img.width, height: img.height });
 
-            // Fill with white background for transparency support
-            ctx.fillStyle = 'white';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
+            const transform = pickTransform(this.options);
+            let canvas;
+            try {
+                canvas = await this.applyWatermark(this.transformImage(img, img.width, img.height, transform), transform && transform.watermark);
+            } finally {
+                URL.revokeObjectURL(img.src);
+            }
 
-            URL.revokeObjectURL(img.src);
+            this.reportProgress('encode', 0);
+            let { blob, width, height, colorCount } = await this.encodePngCanvas(canvas);
+            this.reportProgress('encode', 1);
 
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, this.outputType, 1.0);
-            });
+            // A lossless pass that does not beat the original keeps the original bytes
+            const optimized = blob.size < file.size || Boolean(this.options.colors || transform);
+            if (!optimized) {
+                blob = new Blob([file], { type: this.outputType });
+            }
 
             return {
                 blob,
                 filename: OmniConvertCore.generateFilename(file.name, 'png'),
                 mimeType: this.outputType,
                 originalSize: file.size,
-                newSize: blob.size
+                newSize: blob.size,
+                width,
+                height,
+                colorCount,
+                bytesSaved: file.size - blob.size,
+                optimized
             };
         }
     }
 
-    // PNG to JPG Converter
-    class PngToJpgConverter extends BaseConverter {
+    // Image adjustments (grayscale, brightness, blur, ...) without changing the format family; PNG by default
+    class ImageAdjustConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Adjust image',
+                category: 'image',
+                inputs: ['jpg', 'png', 'webp', 'gif', 'bmp', 'tiff', 'avif'],
+                output: 'png',
+                dependencies: [],
+                options: {
+                    format: { type: 'string', default: 'png', enum: ['png', 'jpg', 'webp'], description: 'Result image format' },
+                    quality: { type: 'number', default: 0.92, min: 0.1, max: 1, description: 'JPG/WebP quality' },
+                    backgroundColor: { type: 'color', default: '#FFFFFF', description: 'Background behind transparent areas in JPG output' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...IMAGE_METADATA_OPTIONS
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/png', '.png'];
-            this.outputType = 'image/jpeg';
-            this.quality = options.quality || 0.9;
+            this.format = options.format || 'png';
+            this.quality = options.quality || 0.92;
             this.backgroundColor = options.backgroundColor || '#FFFFFF';
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from PNG to JPG`);
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Adjusting ${file.name}`, this.options.adjustments);
+
+            const mimeType = FORMATS[this.format].mimeTypes[0];
+            const { blob, width, height } = await this.renderImage(file, {
+                type: mimeType,
+                quality: this.quality,
+                backgroundColor: this.format === 'jpg' ? this.backgroundColor : null
+            });
+            if (!blob || blob.type !== mimeType) {
+                throw new EncoderUnsupportedError(`This browser cannot encode ${this.format.toUpperCase()}`, { file, mimeType });
+            }
 
-            const img = await this.loadImage(file);
-            const canvas = this.createCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, this.format),
+                mimeType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                adjustments: normalizeAdjustments(this.options.adjustments) || []
+            };
+        }
+    }
 
-            // Fill background color (important for PNG transparency)
-            ctx.fillStyle = this.backgroundColor;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
+    /**
+     * Image to CSS: a rule with the image inlined as a data URL background and sized to it.
+     * scale is the pixel density, so a 64 × 64 image at scale 2 becomes a 32 × 32 px element.
+     */
+    class ImageToCssConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Image to CSS',
+                category: 'image',
+                inputs: ['png', 'jpg', 'gif', 'webp', 'svg', 'avif', 'bmp', 'ico'],
+                output: 'css',
+                dependencies: [],
+                options: {
+                    selector: { type: 'string', default: null, description: 'CSS selector (default: a class named after the file)' },
+                    scale: { type: 'number', default: 1, min: 1, max: 4, description: 'Pixel density of the image, e.g. 2 for @2x artwork' },
+                    includeSize: { type: 'boolean', default: true, description: 'Set width and height on the rule' }
+                }
+            };
+        }
 
-            URL.revokeObjectURL(img.src);
+        constructor(options = {}) {
+            super(options);
+            this.scale = options.scale || 1;
+            this.includeSize = options.includeSize !== false;
+        }
 
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, this.outputType, this.quality);
-            });
+        async convert(file) {
+            const detected = await this.validateFile(file, this.supportedInputs);
+            this.log(`Inlining ${file.name} as CSS`);
+
+            const format = detected ? detected.format : OmniConvertCore.getFileFormat(file);
+            const mimeType = FORMATS[format] ? FORMATS[format].mimeTypes[0] : file.type;
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const { width, height } = await this.imageSize(file, bytes, format);
+            this.reportProgress('decode', 1);
+
+            const dataURL = `data:${mimeType};base64,${bytesToBase64(bytes)}`;
+            const cssWidth = Math.round(width / this.scale * 100) / 100;
+            const cssHeight = Math.round(height / this.scale * 100) / 100;
+            const selector = this.options.selector || this.selectorFor(file.name);
+
+            const declarations = [];
+            if (this.includeSize) declarations.push(`width: ${cssWidth}px;`, `height: ${cssHeight}px;`);
+            declarations.push(
+                `background-image: url("${dataURL}");`,
+                `background-size: ${cssWidth}px ${cssHeight}px;`,
+                'background-repeat: no-repeat;'
+            );
+            const css = `${selector} {\n${declarations.map(line => `    ${line}`).join('\n')}\n}\n`;
+
+            const blob = new Blob([css], { type: this.outputType });
+            this.reportProgress('encode', 1);
 
             return {
                 blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                filename: OmniConvertCore.generateFilename(file.name, 'css'),
                 mimeType: this.outputType,
                 originalSize: file.size,
                 newSize: blob.size,
-                quality: this.quality
+                css,
+                selector,
+                dataURL,
+                width: cssWidth,
+                height: cssHeight,
+                pixelWidth: width,
+                pixelHeight: height
             };
         }
+
+        // Upright size from the file header, or from decoding when the header has none
+        async imageSize(file, bytes, format) {
+            try {
+                const header = readImageHeader(bytes, format);
+                if (header && header.width > 0 && header.height > 0) return header;
+            } catch (error) {
+                this.log('Could not read the image header', error);
+            }
+            const image = await this.loadImage(file);
+            return { width: image.naturalWidth || image.width, height: image.naturalHeight || image.height };
+        }
+
+        // '.my-logo' for 'My Logo.png'
+        selectorFor(filename) {
+            const baseName = (filename || '').substring(0, (filename || '').lastIndexOf('.')) || filename || '';
+            const slug = baseName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+            return `.${/^[0-9-]/.test(slug) ? `image-${slug}` : slug}`;
+        }
     }
 
-    // WebP to JPG Converter
-    class WebpToJpgConverter extends BaseConverter {
-        constructor(options = {}) {
-            super(options);
-            this.supportedInputs = ['image/webp', '.webp'];
-            this.outputType = 'image/jpeg';
-            this.quality = options.quality || 0.9;
-            this.backgroundColor = options.backgroundColor || '#FFFFFF';
+    // BMP to PNG Converter (built-in decoder)
+    class BmpToPngConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'BMP to PNG',
+                category: 'image',
+                inputs: ['bmp'],
+                output: 'png',
+                dependencies: [],
+                options: { ...IMAGE_TRANSFORM_OPTIONS, ...PNG_PALETTE_OPTIONS }
+            };
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from WebP to JPG`);
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from BMP to PNG`);
 
-            const img = await this.loadImage(file);
-            const canvas = this.createCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
+            const { blob, width, height, colorCount } = await this.renderImage(file, { type: this.outputType });
 
-            // Fill background color (important for WebP transparency)
-            ctx.fillStyle = this.backgroundColor;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'png'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                width,
+                height,
+                colorCount: colorCount || null
+            };
+        }
+    }
 
-            URL.revokeObjectURL(img.src);
+    // TIFF to PNG Converter (built-in decoder); `page` picks a page of multi-page files
+    class TiffToPngConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'TIFF to PNG',
+                category: 'image',
+                inputs: ['tiff'],
+                output: 'png',
+                dependencies: [],
+                options: {
+                    page: { type: 'number', default: 0, min: 0, description: 'Page of a multi-page TIFF (0-based)' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...PNG_PALETTE_OPTIONS
+                }
+            };
+        }
 
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, this.outputType, this.quality);
-            });
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from TIFF to PNG`);
 
-            if (!blob) {
-                throw new Error('Failed to convert WebP to JPG. Browser may not support WebP format.');
-            }
+            const { blob, width, height, colorCount } = await this.renderImage(file, { type: this.outputType });
 
             return {
                 blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                filename: OmniConvertCore.generateFilename(file.name, 'png'),
                 mimeType: this.outputType,
                 originalSize: file.size,
                 newSize: blob.size,
-                quality: this.quality
+                width,
+                height,
+                colorCount: colorCount || null,
+                page: this.options.page || 0
             };
         }
     }
 
+    // TIFF to JPG Converter (built-in decoder)
+    class TiffToJpgConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'TIFF to JPG',
+                category: 'image',
+                inputs: ['tiff'],
+                output: 'jpg',
+                dependencies: [],
+                options: {
+                    page: { type: 'number', default: 0, min: 0, description: 'Page of a multi-page TIFF (0-based)' },
+                    quality: { type: 'number', default: 0.9, min: 0.1, max: 1, description: 'JPG quality' },
+                    backgroundColor: { type: 'color', default: '#FFFFFF', description: 'Background color for transparent areas' },
+                    ...IMAGE_TRANSFORM_OPTIONS,
+                    ...TARGET_SIZE_OPTIONS
+                }
+            };
+        }
 
-    // PNG to WebP Converter
-    class PngToWebpConverter extends BaseConverter {
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/png', '.png'];
-            this.outputType = 'image/webp';
-            this.quality = options.quality || 0.8;
+            this.quality = options.quality || 0.9;
+            this.backgroundColor = options.backgroundColor || '#FFFFFF';
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from PNG to WebP`);
-
-            const img = await this.loadImage(file);
-            const canvas = this.createCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
-
-            ctx.drawImage(img, 0, 0);
-            URL.revokeObjectURL(img.src);
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} from TIFF to JPG`);
 
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, this.outputType, this.quality);
+            const { blob, width, height, ...encoding } = await this.renderImage(file, {
+                type: this.outputType,
+                quality: this.quality,
+                backgroundColor: this.backgroundColor
             });
 
-            if (!blob) {
-                throw new Error('Failed to convert PNG to WebP. Browser may not support WebP format.');
-            }
-
             return {
                 blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'webp'),
+                filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
                 mimeType: this.outputType,
                 originalSize: file.size,
                 newSize: blob.size,
-                quality: this.quality
+                width,
+                height,
+                page: this.options.page || 0,
+                quality: this.quality,
+                ...encoding
             };
         }
     }
 
-    // JPG to WebP Converter
-    class JpgToWebpConverter extends BaseConverter {
+    // Multi-page TIFF to PDF Converter; built-in PDF writer, one page per TIFF page
+    class TiffToPdfConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'TIFF to PDF',
+                category: 'image',
+                inputs: ['tiff'],
+                output: 'pdf',
+                dependencies: [],
+                options: {
+                    imageFormat: { type: 'string', default: 'auto', enum: ['auto', 'jpg', 'png'], description: 'Page image encoding (auto: lossless for bilevel scans)' },
+                    quality: { type: 'number', default: 0.92, min: 0.1, max: 1, description: 'JPG quality' },
+                    ...PDF_INFO_OPTIONS,
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/jpeg', 'image/jpg', '.jpg', '.jpeg'];
-            this.outputType = 'image/webp';
-            this.quality = options.quality || 0.8;
+            this.imageFormat = options.imageFormat || 'auto';
+            this.quality = options.quality || 0.92;
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from JPG to WebP`);
-
-            const img = await this.loadImage(file);
-            const canvas = this.createCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
+            await this.validateFile(file, this.supportedInputs);
+
+            const decoder = await TiffDecoder.fromFile(file);
+            const pages = decoder.pageCount;
+            this.log(`Converting ${pages} TIFF page(s) of ${file.name} to PDF`);
+
+            const { title, author, subject, creator } = this.options;
+            const pdf = new PdfWriter({ title, author, subject, creator });
+
+            for (let index = 0; index < pages; index++) {
+                this.throwIfAborted();
+                this.reportProgress('decode', index / pages, { page: index + 1, pages });
+                let image = decoder.decodePage(index);
+                if (this.options.adjustments) {
+                    const canvas = this.adjustCanvas(this.imageDataToCanvas(image));
+                    image = { ...image, data: canvas.getContext('2d').getImageData(0, 0, image.width, image.height).data };
+                }
 
-            ctx.drawImage(img, 0, 0);
-            URL.revokeObjectURL(img.src);
+                // Bilevel and palette scans stay lossless: the PNG encoder packs them into few bits per pixel
+                const lossless = this.imageFormat === 'png' ||
+                    (this.imageFormat === 'auto' && (image.bitsPerSample < 8 || image.photometric === TIFF_PHOTOMETRIC_PALETTE));
+                let embedded;
+                if (lossless) {
+                    const { bytes } = await encodePng(image);
+                    embedded = (await pdf.addPng(bytes)) || await pdf.addPixels(image);
+                } else {
+                    const encoded = await this.canvasToBlob(this.imageDataToCanvas(image), 'image/jpeg', this.quality);
+                    embedded = pdf.addJpeg(await encoded.arrayBuffer());
+                }
 
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, this.outputType, this.quality);
-            });
+                // Physical size from the scan resolution, otherwise 72 dpi
+                const perInch = image.unit === 'cm' ? 2.54 : 1;
+                const pageWidth = image.xResolution ? image.width / (image.xResolution * perInch) * 72 : image.width;
+                const pageHeight = image.yResolution ? image.height / (image.yResolution * perInch) * 72 : image.height;
 
-            if (!blob) {
-                throw new Error('Failed to convert JPG to WebP. Browser may not support WebP format.');
+                pdf.addPage(pageWidth, pageHeight, [{ image: embedded, x: 0, y: 0, width: pageWidth, height: pageHeight }]);
+                this.reportProgress('encode', (index + 1) / pages, { page: index + 1, pages });
             }
 
+            this.reportProgress('package', 0);
+            const pdfBytes = await pdf.save();
+            this.reportProgress('package', 1);
+            const blob = new Blob([pdfBytes], { type: this.outputType });
+
             return {
                 blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'webp'),
+                filename: OmniConvertCore.generateFilename(file.name, 'pdf'),
                 mimeType: this.outputType,
                 originalSize: file.size,
                 newSize: blob.size,
-                quality: this.quality
+                pageCount: pages
             };
         }
     }
 
-    // HEIC to JPG Converter (requires heic2any library)
-    class HeicToJpgConverter extends BaseConverter {
+
+    /**
+     * ANIMATION CONVERTERS
+     */
+
+    // Video (MP4/WebM/MOV) to animated GIF, sampled frame by frame through a <video> element
+    class Mp4ToGifConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Video to GIF',
+                category: 'animation',
+                inputs: ['mp4', 'webm', 'mov'],
+                output: 'gif',
+                dependencies: [],
+                options: {
+                    fps: { type: 'number', default: 10, min: 1, max: 30, description: 'Frames per second' },
+                    width: { type: 'number', default: null, min: 1, description: 'Result width in pixels (keeps aspect ratio)' },
+                    start: { type: 'number', default: 0, min: 0, description: 'Start time in seconds' },
+                    duration: { type: 'number', default: 10, min: 0.1, description: 'Maximum length in seconds' },
+                    loop: { type: ['number', 'boolean'], default: 0, min: 0, max: 65535, description: 'Loop count, 0 = forever, false = play once' },
+                    colors: { type: 'number', default: 256, min: 2, max: 256, description: 'Palette size per frame' },
+                    dither: { type: 'boolean', default: false, description: 'Floyd–Steinberg dithering' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/heic', 'image/heif', '.heic', '.heif'];
-            this.outputType = 'image/jpeg';
-            this.quality = options.quality || 0.9;
-            
-            if (typeof heic2any === 'undefined' && typeof window !== 'undefined') {
-                console.warn('heic2any library not found. Please include heic2any library for HEIC to JPG conversion.');
-            }
+            this.fps = options.fps || 10;
+            this.width = options.width || null;
+            this.start = options.start || 0;
+            this.duration = options.duration || 10;
+            this.loop = options.loop === undefined ? 0 : options.loop;
+            this.colors = options.colors || 256;
+            this.dither = options.dither || false;
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from HEIC to JPG`);
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Converting ${file.name} to GIF at ${this.fps} fps`);
 
-            if (typeof heic2any === 'undefined') {
-                throw new Error('heic2any library is required for HEIC to JPG conversion. Please include it in your page.');
-            }
+            this.reportProgress('decode', 0);
+            const video = await this.loadVideo(file);
 
             try {
-                const convertedBlob = await heic2any({
-                    blob: file,
-                    toType: 'image/jpeg',
-                    quality: this.quality
-                });
-
-                const blob = Array.isArray(convertedBlob) ? convertedBlob[0] : convertedBlob;
+                // Some WebM files report an infinite duration until fully buffered
+                const end = Number.isFinite(video.duration)
+                    ? Math.min(video.duration, this.start + this.duration)
+                    : this.start + this.duration;
+                const frameCount = Math.max(1, Math.floor((end - this.start) * this.fps));
+
+                const width = Math.round(this.width || video.videoWidth);
+                const height = Math.max(1, Math.round(video.videoHeight * width / video.videoWidth));
+                const canvas = this.createCanvas(width, height);
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                const encoder = new GifEncoder(width, height, { loop: this.loop, colors: this.colors, dither: this.dither });
+
+                for (let i = 0; i < frameCount; i++) {
+                    await this.seekVideo(video, this.start + i / this.fps);
+                    ctx.drawImage(video, 0, 0, width, height);
+                    const frame = this.adjustCanvas(canvas);
+                    encoder.addFrame(frame.getContext('2d').getImageData(0, 0, width, height).data, { delay: 1000 / this.fps });
+                    this.reportProgress('encode', (i + 1) / frameCount, { frame: i + 1, frames: frameCount });
+                }
 
+                const blob = encoder.finish();
                 return {
                     blob,
-                    filename: OmniConvertCore.generateFilename(file.name, 'jpg'),
+                    filename: OmniConvertCore.generateFilename(file.name, 'gif'),
                     mimeType: this.outputType,
                     originalSize: file.size,
                     newSize: blob.size,
-                    quality: this.quality
+                    frameCount,
+                    width,
+                    height,
+                    fps: this.fps
                 };
-            } catch (error) {
-                throw new Error(`Failed to convert HEIC to JPG: ${error.message}`);
+            } finally {
+                URL.revokeObjectURL(video.src);
+                video.removeAttribute('src');
+                video.load();
             }
         }
+
+        async loadVideo(file) {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+
+            return this.withAbort(new Promise((resolve, reject) => {
+                video.onloadeddata = () => resolve(video);
+                video.onerror = () => reject(new DecodeError(`Failed to load video: ${file.name}`, { file }));
+                video.src = URL.createObjectURL(file);
+            }), () => {
+                URL.revokeObjectURL(video.src);
+                video.onloadeddata = video.onerror = null;
+                video.removeAttribute('src');
+            });
+        }
+
+        // Resolve once the frame at `time` is ready to be drawn
+        async seekVideo(video, time) {
+            return this.withAbort(new Promise(resolve => {
+                video.addEventListener('seeked', resolve, { once: true });
+                video.currentTime = time;
+            }));
+        }
     }
 
-    // SVG to PNG Converter
-    class SvgToPngConverter extends BaseConverter {
+    // Image list to animated GIF; every image is fitted and centred on the first image's canvas
+    class ImagesToGifConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Images to GIF',
+                category: 'animation',
+                inputs: ['jpg', 'png', 'webp', 'gif', 'bmp', 'svg'],
+                output: 'gif',
+                dependencies: [],
+                options: {
+                    frameDelay: { type: 'number', default: 500, min: 10, description: 'Time per frame in milliseconds' },
+                    width: { type: 'number', default: null, min: 1, description: 'Result width in pixels (keeps aspect ratio)' },
+                    backgroundColor: { type: 'color', default: null, description: 'Background behind transparent areas and letterboxing' },
+                    loop: { type: ['number', 'boolean'], default: 0, min: 0, max: 65535, description: 'Loop count, 0 = forever, false = play once' },
+                    colors: { type: 'number', default: 256, min: 2, max: 256, description: 'Palette size per frame' },
+                    dither: { type: 'boolean', default: false, description: 'Floyd–Steinberg dithering' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/svg+xml', '.svg'];
-            this.outputType = 'image/png';
+            this.frameDelay = options.frameDelay || 500;
             this.width = options.width || null;
-            this.height = options.height || null;
-            this.scale = options.scale || 1;
-            this.backgroundColor = options.backgroundColor || 'transparent';
+            this.backgroundColor = options.backgroundColor || null;
+            this.loop = options.loop === undefined ? 0 : options.loop;
+            this.colors = options.colors || 256;
+            this.dither = options.dither || false;
         }
 
-        async convert(file) {
-            this.validateFile(file, this.supportedInputs);
-            this.log(`Converting ${file.name} from SVG to PNG`);
+        async convert(files) {
+            const fileList = (Array.isArray(files) ? files : [files]).filter(Boolean);
+            if (fileList.length === 0) {
+                throw new UnsupportedInputError('At least one image is required to create a GIF', { expected: this.supportedInputs });
+            }
+            this.log(`Combining ${fileList.length} image(s) into a GIF`);
+
+            let canvas, ctx, encoder;
+
+            for (const [index, file] of fileList.entries()) {
+                await this.validateFile(file, this.supportedInputs);
+                this.reportProgress('decode', index / fileList.length, { frame: index + 1, frames: fileList.length });
+                const img = await this.loadImage(file);
+
+                // The first image decides the animation size
+                if (!canvas) {
+                    const width = Math.round(this.width || img.width);
+                    const height = Math.max(1, Math.round(img.height * width / img.width));
+                    canvas = this.createCanvas(width, height);
+                    ctx = canvas.getContext('2d', { willReadFrequently: true });
+                    encoder = new GifEncoder(width, height, { loop: this.loop, colors: this.colors, dither: this.dither });
+                }
 
-            const svgText = await file.text();
-            const blob = await this.svgToPng(svgText);
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                if (this.backgroundColor) {
+                    ctx.fillStyle = this.backgroundColor;
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                }
+
+                const ratio = Math.min(canvas.width / img.width, canvas.height / img.height);
+                const drawWidth = img.width * ratio;
+                const drawHeight = img.height * ratio;
+                ctx.drawImage(img, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+                URL.revokeObjectURL(img.src);
+
+                const frame = this.adjustCanvas(canvas);
+                encoder.addFrame(frame.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data, { delay: this.frameDelay });
+                this.reportProgress('encode', (index + 1) / fileList.length, { frame: index + 1, frames: fileList.length });
+            }
+
+            const blob = encoder.finish();
+            const filename = fileList.length === 1
+                ? OmniConvertCore.generateFilename(fileList[0].name, 'gif')
+                : `animation-${new Date().toISOString().slice(0, 10)}.gif`;
 
             return {
                 blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'png'),
+                filename,
                 mimeType: this.outputType,
-                originalSize: file.size,
+                originalSize: fileList.reduce((sum, file) => sum + file.size, 0),
                 newSize: blob.size,
-                scale: this.scale
+                frameCount: fileList.length,
+                width: canvas.width,
+                height: canvas.height
             };
         }
+    }
 
-        async svgToPng(svgText) {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                
-                img.onload = () => {
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
+    // Animated GIF to a ZIP of still frames
+    class GifToFramesConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'GIF to Frames',
+                category: 'animation',
+                inputs: ['gif'],
+                output: 'zip',
+                dependencies: [],
+                options: {
+                    format: { type: 'string', default: 'png', enum: ['png', 'jpg', 'webp'], description: 'Frame image format' },
+                    quality: { type: 'number', default: 0.9, min: 0.1, max: 1, description: 'JPG/WebP quality' },
+                    backgroundColor: { type: 'color', default: null, description: 'Background behind transparent areas' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
 
-                    // Set canvas dimensions
-                    canvas.width = this.width || img.width * this.scale;
-                    canvas.height = this.height || img.height * this.scale;
+        constructor(options = {}) {
+            super(options);
+            this.format = options.format || 'png';
+            this.quality = options.quality || 0.9;
+            // JPG has no alpha channel
+            this.backgroundColor = options.backgroundColor || (this.format === 'jpg' ? 'white' : null);
+        }
 
-                    // Set background color if not transparent
-                    if (this.backgroundColor !== 'transparent') {
-                        ctx.fillStyle = this.backgroundColor;
-                        ctx.fillRect(0, 0, canvas.width, canvas.height);
-                    }
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
+            this.log(`Extracting frames from ${file.name} as ${this.format.toUpperCase()}`);
 
-                    // Draw SVG
-                    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            this.reportProgress('decode', 0);
+            const decoder = await GifDecoder.fromFile(file);
+            const decoded = decoder.decodeFrames();
+            this.reportProgress('decode', 1, { frames: decoded.length });
 
-                    canvas.toBlob((blob) => {
-                        if (blob) {
-                            resolve(blob);
-                        } else {
-                            reject(new Error('Failed to convert SVG to PNG'));
-                        }
-                    }, this.outputType);
-                };
+            const mimeType = FORMATS[this.format].mimeTypes[0];
+            const canvas = this.createCanvas(decoder.width, decoder.height);
+            const ctx = canvas.getContext('2d');
+            const frameCanvas = this.createCanvas(decoder.width, decoder.height);
+            const frameCtx = frameCanvas.getContext('2d');
+            const zip = new ZipWriter();
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            const digits = String(decoded.length).length;
+            const frames = [];
+
+            for (const frame of decoded) {
+                this.throwIfAborted();
+                frameCtx.putImageData(new ImageData(frame.data, frame.width, frame.height), 0, 0);
+
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                if (this.backgroundColor) {
+                    ctx.fillStyle = this.backgroundColor;
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                }
+                ctx.drawImage(this.adjustCanvas(frameCanvas), 0, 0);
+
+                const blob = await this.canvasToBlob(canvas, mimeType, this.quality);
+                if (!blob) {
+                    throw new EncoderUnsupportedError(`This browser cannot encode ${this.format.toUpperCase()}`, { file, mimeType });
+                }
 
-                img.onerror = () => reject(new Error('Failed to load SVG'));
+                const filename = `${baseName}-frame-${String(frame.index + 1).padStart(digits, '0')}.${this.format}`;
+                await zip.addFile(filename, blob, { compress: false });
+                frames.push({ blob, filename, mimeType, index: frame.index, delay: frame.delay });
+                this.reportProgress('encode', frames.length / decoded.length, { frame: frames.length, frames: decoded.length });
+            }
 
-                // Create data URL from SVG
-                const svgBlob = new Blob([svgText], { type: 'image/svg+xml' });
-                img.src = URL.createObjectURL(svgBlob);
-            });
+            this.reportProgress('package', 0);
+            const blob = zip.generate();
+            this.reportProgress('package', 1);
+
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, 'zip'),
+                mimeType: this.outputType,
+                originalSize: file.size,
+                newSize: blob.size,
+                frames,
+                frameCount: frames.length,
+                width: decoder.width,
+                height: decoder.height,
+                loop: decoder.loop
+            };
         }
     }
 
+    // Animated GIF to video, recorded in real time with MediaRecorder
+    class GifToMp4Converter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'GIF to MP4',
+                category: 'animation',
+                inputs: ['gif'],
+                output: 'mp4',
+                dependencies: ['MediaRecorder'],
+                options: {
+                    loops: { type: 'number', default: 1, min: 1, max: 100, description: 'How many times to play the GIF into the video' },
+                    backgroundColor: { type: 'color', default: 'white', description: 'Background behind transparent areas' },
+                    videoBitsPerSecond: { type: 'number', default: 2500000, min: 100000, description: 'Video bitrate' },
+                    ...IMAGE_ADJUSTMENT_OPTIONS
+                }
+            };
+        }
+
+        // Recorder MIME types to try, best first
+        static get recorderMimeTypes() {
+            return ['video/mp4;codecs=avc1', 'video/mp4'];
+        }
 
-    // JPG to PDF Converter (requires PDF-lib)
-    class JpgToPdfConverter extends BaseConverter {
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['image/jpeg', 'image/jpg', '.jpg', '.jpeg'];
-            this.outputType = 'application/pdf';
-            
-            if (typeof PDFLib === 'undefined' && typeof window !== 'undefined') {
-                console.warn('PDF-lib not found. Please include PDF-lib library for JPG to PDF conversion.');
-            }
+            this.loops = options.loops || 1;
+            this.backgroundColor = options.backgroundColor || 'white';
+            this.videoBitsPerSecond = options.videoBitsPerSecond || 2500000;
         }
 
-        async convert(files) {
-            // Handle both single file and array
-            const fileList = Array.isArray(files) ? files : [files];
-            
-            if (typeof PDFLib === 'undefined') {
-                throw new Error('PDF-lib library is required for JPG to PDF conversion. Please include it in your page.');
-            }
-
-            this.log(`Converting ${fileList.length} JPG file(s) to PDF`);
+        async convert(file) {
+            await this.validateFile(file, this.supportedInputs);
 
-            const pdfDoc = await PDFLib.PDFDocument.create();
+            const recorderType = typeof MediaRecorder === 'undefined'
+                ? null
+                : this.constructor.recorderMimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+            if (!recorderType) {
+                throw new EncoderUnsupportedError(`This browser cannot record ${this.outputType} video`, { file, mimeType: this.outputType });
+            }
+            this.log(`Recording ${file.name} as ${recorderType}`);
 
-            for (const file of fileList) {
-                this.validateFile(file, this.supportedInputs);
-                
-                const arrayBuffer = await file.arrayBuffer();
-                let image;
-                
-                try {
-                    image = await pdfDoc.embedJpg(arrayBuffer);
-                } catch (jpgError) {
-                    try {
-                        image = await pdfDoc.embedPng(arrayBuffer);
-                    } catch (pngError) {
-                        throw new Error(`Unable to process image: ${file.name}`);
-                    }
-                }
+            this.reportProgress('decode', 0);
+            const decoder = await GifDecoder.fromFile(file);
+            const frames = decoder.decodeFrames();
+            this.reportProgress('decode', 1, { frames: frames.length });
 
-                // Calculate page size to fit image
-                const { width, height } = image;
-                const maxWidth = 595; // A4 width in points
-                const maxHeight = 842; // A4 height in points
+            const canvas = this.createCanvas(decoder.width, decoder.height);
+            const ctx = canvas.getContext('2d');
+            const frameCanvas = this.createCanvas(decoder.width, decoder.height);
+            const frameCtx = frameCanvas.getContext('2d');
+
+            // Frames are pushed manually so the video follows the GIF's own timing
+            const stream = canvas.captureStream(0);
+            const [track] = stream.getVideoTracks();
+            const recorder = new MediaRecorder(stream, { mimeType: recorderType, videoBitsPerSecond: this.videoBitsPerSecond });
+            const chunks = [];
+            recorder.ondataavailable = event => {
+                if (event.data && event.data.size > 0) chunks.push(event.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
 
-                let pageWidth = width;
-                let pageHeight = height;
+            const total = frames.length * this.loops;
+            let written = 0;
 
-                // Scale down if image is too large
-                if (width > maxWidth || height > maxHeight) {
-                    const widthRatio = maxWidth / width;
-                    const heightRatio = maxHeight / height;
-                    const ratio = Math.min(widthRatio, heightRatio);
+            try {
+                recorder.start();
+                for (let loop = 0; loop < this.loops; loop++) {
+                    for (const frame of frames) {
+                        frameCtx.putImageData(new ImageData(frame.data, frame.width, frame.height), 0, 0);
+                        ctx.fillStyle = this.backgroundColor;
+                        ctx.fillRect(0, 0, canvas.width, canvas.height);
+                        ctx.drawImage(this.adjustCanvas(frameCanvas), 0, 0);
+                        if (track.requestFrame) track.requestFrame();
 
-                    pageWidth = width * ratio;
-                    pageHeight = height * ratio;
+                        // Browsers treat delays under 20ms as 100ms
+                        await this.withAbort(OmniConvertCore.delay(frame.delay >= 20 ? frame.delay : 100));
+                        this.reportProgress('encode', ++written / total, { frame: written, frames: total });
+                    }
                 }
-
-                // Create page and add image
-                const page = pdfDoc.addPage([pageWidth, pageHeight]);
-                page.drawImage(image, {
-                    x: 0,
-                    y: 0,
-                    width: pageWidth,
-                    height: pageHeight,
-                });
+            } finally {
+                if (recorder.state !== 'inactive') recorder.stop();
+                track.stop();
             }
 
-            const pdfBytes = await pdfDoc.save();
-            const blob = new Blob([pdfBytes], { type: this.outputType });
-
-            const filename = fileList.length === 1 
-                ? OmniConvertCore.generateFilename(fileList[0].name, 'pdf')
-                : `converted-images-${new Date().toISOString().slice(0, 10)}.pdf`;
+            this.reportProgress('package', 0);
+            await stopped;
+            const mimeType = recorderType.split(';')[0];
+            const blob = new Blob(chunks, { type: mimeType });
+            this.reportProgress('package', 1);
 
             return {
                 blob,
-                filename,
-                mimeType: this.outputType,
-                originalSize: fileList.reduce((sum, file) => sum + file.size, 0),
+                filename: OmniConvertCore.generateFilename(file.name, normalizeFormat(mimeType)),
+                mimeType,
+                originalSize: file.size,
                 newSize: blob.size,
-                pageCount: fileList.length
+                frameCount: frames.length,
+                width: decoder.width,
+                height: decoder.height
             };
         }
     }
 
+    // Animated GIF to WebM, where MediaRecorder supports VP8/VP9
+    class GifToWebmConverter extends GifToMp4Converter {
+        static get metadata() {
+            return { ...super.metadata, label: 'GIF to WebM', output: 'webm' };
+        }
+
+        static get recorderMimeTypes() {
+            return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        }
+    }
+
 
     /**
      * DATA CONVERTERS
@@ -618,100 +7393,248 @@
 
     // CSV to JSON Converter
     class CsvToJsonConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'CSV to JSON',
+                category: 'data',
+                inputs: ['csv'],
+                output: 'json',
+                dependencies: [],
+                options: {
+                    delimiter: { type: 'string', default: 'auto', description: "CSV delimiter, or 'auto' to detect , ; tab or |" },
+                    hasHeader: { type: 'boolean', default: true, description: 'First row contains headers' },
+                    encoding: { type: 'string', default: 'auto', description: "File encoding such as 'utf-8', 'windows-1251' or 'latin1', or 'auto' to detect" },
+                    trim: { type: 'boolean', default: true, description: 'Trim whitespace around unquoted fields' },
+                    skipEmptyLines: { type: 'boolean', default: true, description: 'Skip blank lines' },
+                    strict: { type: 'boolean', default: false, description: 'Throw a ParseError on malformed rows instead of reporting them' },
+                    format: { type: 'string', default: 'json', enum: ['json', 'ndjson'], description: 'A JSON array, or one JSON record per line (NDJSON)' },
+                    streaming: { type: 'boolean', default: null, description: 'Parse incrementally from file.stream() (default: for files over 32 MB)' }
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['text/csv', 'application/csv', '.csv'];
-            this.outputType = 'application/json';
-            this.delimiter = options.delimiter || ',';
+            this.delimiter = options.delimiter || 'auto';
             this.hasHeader = options.hasHeader !== false;
-            this.encoding = options.encoding || 'utf-8';
+            this.encoding = options.encoding || 'auto';
+            this.trim = options.trim !== false;
+            this.skipEmptyLines = options.skipEmptyLines !== false;
+            this.strict = options.strict === true;
+            this.format = options.format || 'json';
+            this.streaming = options.streaming ?? null;
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
+            await this.validateFile(file, this.supportedInputs);
+
+            if (this.shouldStream(file)) {
+                this.log(`Streaming ${file.name} from CSV to ${this.format.toUpperCase()}`);
+                return this.convertStream(file);
+            }
             this.log(`Converting ${file.name} from CSV to JSON`);
 
-            const text = await file.text();
-            const csvData = this.parseCSVText(text);
+            const { text, encoding } = decodeText(new Uint8Array(await file.arrayBuffer()), this.encoding);
+            this.reportProgress('decode', 1);
+            const delimiter = this.resolveDelimiter(text);
+            const parser = this.createParser(delimiter, file);
+            const csvData = parser.parse(text).map(row => row.fields);
 
             if (csvData.length === 0) {
-                throw new Error('CSV file appears to be empty or invalid');
+                throw new ParseError('CSV file appears to be empty or invalid', { file, format: 'csv' });
             }
 
             let jsonData;
 
-            if (this.hasHeader && csvData.length > 1) {
-                // Use first row as headers
+            if (this.hasHeader) {
+                // Use first row as headers; a header row alone gives no records, as when streaming
                 const headers = csvData[0];
-                const dataRows = csvData.slice(1);
-
-                jsonData = dataRows.map(row => {
-                    const obj = {};
-                    headers.forEach((header, index) => {
-                        obj[header] = row[index] || '';
-                    });
-                    return obj;
-                });
+                jsonData = csvData.slice(1).map(row => this.toRecord(headers, row));
             } else {
                 // No headers, create array of arrays
                 jsonData = csvData;
             }
 
-            const jsonString = JSON.stringify(jsonData, null, 2);
-            const blob = new Blob([jsonString], { type: this.outputType });
+            const jsonString = this.format === 'ndjson'
+                ? jsonData.map(record => `${JSON.stringify(record)}\n`).join('')
+                : JSON.stringify(jsonData, null, 2);
+            this.reportProgress('encode', 1);
+            const blob = new Blob([jsonString], { type: this.resultMimeType() });
 
-            return {
-                blob,
-                filename: OmniConvertCore.generateFilename(file.name, 'json'),
-                mimeType: this.outputType,
-                originalSize: file.size,
-                newSize: blob.size,
-                recordCount: jsonData.length,
-                hasHeader: this.hasHeader,
-                delimiter: this.delimiter
-            };
+            return this.createResult(file, blob, jsonData.length, { delimiter, encoding, parser });
         }
 
-        parseCSVText(text) {
-            const lines = text.trim().split('\n');
-            const result = [];
+        /**
+         * Streaming conversion: records are written as they are parsed, in batches of about 1 MB
+         * turned into Blob parts, so neither the CSV text nor the JSON has to fit in memory.
+         * A JSON array is written exactly as JSON.stringify(records, null, 2) would.
+         */
+        async convertStream(file) {
+            const ndjson = this.format === 'ndjson';
+            const parts = [];
+            let batch = ndjson ? '' : '[';
+            let count = 0;
+
+            for await (const record of this.streamRecords(file)) {
+                batch += ndjson
+                    ? `${JSON.stringify(record)}\n`
+                    : `${count > 0 ? ',' : ''}\n  ${JSON.stringify(record, null, 2).replace(/\n/g, '\n  ')}`;
+                count++;
+                if (batch.length >= 1 << 20) {
+                    parts.push(new Blob([batch]));
+                    batch = '';
+                }
+            }
 
-            for (const line of lines) {
-                if (line.trim() === '') continue;
-                const row = this.parseCSVLine(line);
-                result.push(row);
+            const { delimiter, encoding, parser } = this.streamState;
+            if (parser.rowCount === 0) {
+                throw new ParseError('CSV file appears to be empty or invalid', { file, format: 'csv' });
             }
 
-            return result;
+            if (!ndjson) batch += count > 0 ? '\n]' : ']';
+            parts.push(new Blob([batch]));
+            const blob = new Blob(parts, { type: this.resultMimeType() });
+            this.reportProgress('encode', 1);
+
+            return { ...this.createResult(file, blob, count, { delimiter, encoding, parser }), streamed: true };
         }
 
-        parseCSVLine(line) {
-            const result = [];
-            let current = '';
-            let inQuotes = false;
+        // Streaming unless turned off, by default only for large files; needs Blob.stream and TextDecoderStream
+        shouldStream(file) {
+            const supported = typeof file.stream === 'function' && typeof TextDecoderStream !== 'undefined';
+            if (!supported) return false;
+            return this.streaming ?? (file.size > CSV_STREAM_THRESHOLD);
+        }
 
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
+        /**
+         * Records of a CSV file, parsed incrementally: objects keyed by the header row,
+         * or arrays of fields when hasHeader is false.
+         *
+         *   for await (const record of converter.streamRecords(file)) { ... }
+         */
+        async *streamRecords(file) {
+            let headers = null;
+            for await (const { fields } of this.parseStream(file)) {
+                if (this.hasHeader && !headers) {
+                    headers = fields;
+                    continue;
+                }
+                yield headers ? this.toRecord(headers, fields) : fields;
+            }
+        }
 
-                if (char === '"') {
-                    inQuotes = !inQuotes;
-                } else if (char === this.delimiter && !inQuotes) {
-                    result.push(current.trim());
-                    current = '';
-                } else {
-                    current += char;
+        // The records of streamRecords as a ReadableStream, e.g. to pipe into a WritableStream
+        createRecordStream(file) {
+            const records = this.streamRecords(file);
+            return new ReadableStream({
+                async pull(controller) {
+                    const { done, value } = await records.next();
+                    if (done) controller.close();
+                    else controller.enqueue(value);
+                },
+                async cancel() {
+                    await records.return();
+                }
+            });
+        }
+
+        /**
+         * Parser rows ({ fields, line }) read from file.stream() through a TextDecoderStream.
+         * The encoding and delimiter are detected from the first 64 KB; progress is reported
+         * as bytes consumed. Sets this.streamState = { delimiter, encoding, parser, bytesRead }.
+         */
+        async *parseStream(file) {
+            const sample = new Uint8Array(await file.slice(0, 65536).arrayBuffer());
+            const decoder = createTextDecoder(sample, this.encoding);
+            const delimiter = this.resolveDelimiter(decoder.decode(sample, { stream: true }));
+            const parser = this.createParser(delimiter, file);
+            const state = this.streamState = { delimiter, encoding: decoder.encoding, parser, bytesRead: 0 };
+
+            const counter = new TransformStream({
+                transform(chunk, controller) {
+                    state.bytesRead += chunk.byteLength;
+                    controller.enqueue(chunk);
+                }
+            });
+            const reader = file.stream()
+                .pipeThrough(counter)
+                .pipeThrough(new TextDecoderStream(decoder.encoding))
+                .getReader();
+
+            try {
+                for (;;) {
+                    this.throwIfAborted();
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    yield* parser.push(value);
+                    this.reportProgress('decode', file.size ? state.bytesRead / file.size : 1, {
+                        bytesRead: state.bytesRead,
+                        rows: parser.rowCount
+                    });
                 }
+                yield* parser.end();
+            } finally {
+                // Stops reading when the consumer breaks off early
+                reader.cancel().catch(() => {});
             }
+        }
 
-            result.push(current.trim());
-            return result;
+        toRecord(headers, row) {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = row[index] || '';
+            });
+            return record;
+        }
+
+        resultMimeType() {
+            return this.format === 'ndjson' ? FORMATS.ndjson.mimeTypes[0] : this.outputType;
+        }
+
+        createResult(file, blob, recordCount, { delimiter, encoding, parser }) {
+            return {
+                blob,
+                filename: OmniConvertCore.generateFilename(file.name, this.format),
+                mimeType: blob.type,
+                originalSize: file.size,
+                newSize: blob.size,
+                recordCount,
+                hasHeader: this.hasHeader,
+                delimiter,
+                encoding,
+                malformedRows: parser.errors,
+                malformedRowCount: parser.errorCount
+            };
+        }
+
+        // The configured delimiter, or the detected one for 'auto'
+        resolveDelimiter(text) {
+            return this.delimiter === 'auto' ? detectCsvDelimiter(text) : this.delimiter;
+        }
+
+        createParser(delimiter, file = null) {
+            return new CsvParser({ delimiter, trim: this.trim, skipEmptyLines: this.skipEmptyLines, strict: this.strict, file });
+        }
+
+        // Rows of a CSV text as arrays of fields
+        parseCSVText(text, file = null) {
+            return this.createParser(this.resolveDelimiter(text), file).parse(text).map(row => row.fields);
+        }
+
+        // Fields of a single record; lineNumber is used in error reports
+        parseCSVLine(line, lineNumber = null, file = null) {
+            const parser = this.createParser(this.resolveDelimiter(line), file);
+            if (lineNumber) parser.line = parser.rowLine = lineNumber;
+            const [row] = parser.parse(line);
+            return row ? row.fields : [''];
         }
 
         // Static method to preview CSV data
         static async previewCSV(file, options = {}) {
             const converter = new CsvToJsonConverter(options);
-            const text = await file.text();
-            const csvData = converter.parseCSVText(text);
+            const { text } = decodeText(new Uint8Array(await file.arrayBuffer()), converter.encoding);
+            const csvData = converter.parseCSVText(text, file);
             
             const maxRows = Math.min(options.previewRows || 5, csvData.length);
             const headers = options.hasHeader !== false ? csvData[0] : csvData[0]?.map((_, i) => `Column ${i + 1}`);
@@ -728,34 +7651,42 @@
 
     // JSON to CSV Converter
     class JsonToCsvConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'JSON to CSV',
+                category: 'data',
+                inputs: ['json'],
+                output: 'csv',
+                dependencies: [],
+                options: {
+                    delimiter: { type: 'string', default: ',', description: 'CSV delimiter' },
+                    includeHeader: { type: 'boolean', default: true, description: 'Include headers in result' },
+                    encoding: { type: 'string', default: 'utf-8', description: 'File encoding' }
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['application/json', '.json'];
-            this.outputType = 'text/csv';
             this.delimiter = options.delimiter || ',';
             this.includeHeader = options.includeHeader !== false;
             this.encoding = options.encoding || 'utf-8';
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
+            await this.validateFile(file, this.supportedInputs);
             this.log(`Converting ${file.name} from JSON to CSV`);
 
             const text = await file.text();
-            let jsonData;
-
-            try {
-                jsonData = JSON.parse(text);
-            } catch (error) {
-                throw new Error(`Invalid JSON file: ${error.message}`);
-            }
+            this.reportProgress('decode', 1);
+            const jsonData = parseJSON(text, file);
 
             if (!Array.isArray(jsonData)) {
-                throw new Error('JSON must be an array of objects or arrays');
+                throw new UnsupportedInputError('JSON must be an array of objects or arrays', { file, format: 'json' });
             }
 
             if (jsonData.length === 0) {
-                throw new Error('JSON array is empty');
+                throw new UnsupportedInputError('JSON array is empty', { file, format: 'json' });
             }
 
             let csvContent = '';
@@ -780,9 +7711,10 @@
                 }
             }
             else {
-                throw new Error('Unsupported JSON structure. Expected array of objects or array of arrays.');
+                throw new UnsupportedInputError('Unsupported JSON structure. Expected array of objects or array of arrays.', { file, format: 'json' });
             }
 
+            this.reportProgress('encode', 1);
             const blob = new Blob([csvContent], { type: this.outputType });
 
             return {
@@ -808,37 +7740,66 @@
         }
     }
 
+    // DOM node types (the global Node constructor is unavailable outside browsers)
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+    const CDATA_SECTION_NODE = 4;
+
     // XML to JSON Converter
     class XmlToJsonConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'XML to JSON',
+                category: 'data',
+                inputs: ['xml'],
+                output: 'json',
+                dependencies: [],
+                options: {
+                    attributePrefix: { type: 'string', default: '@', description: 'Attribute prefix' },
+                    textNodeName: { type: 'string', default: '#text', description: 'Text node name' },
+                    ignoreAttributes: { type: 'boolean', default: false, description: 'Ignore attributes' },
+                    parseNumbers: { type: 'boolean', default: true, description: 'Automatically parse numbers' },
+                    parseBooleans: { type: 'boolean', default: true, description: 'Automatically parse booleans' },
+                    DOMParser: { type: 'function', default: null, description: 'DOMParser implementation for headless use' }
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['text/xml', 'application/xml', '.xml'];
-            this.outputType = 'application/json';
             this.attributePrefix = options.attributePrefix || '@';
             this.textNodeName = options.textNodeName || '#text';
             this.ignoreAttributes = options.ignoreAttributes || false;
             this.parseNumbers = options.parseNumbers !== false;
             this.parseBooleans = options.parseBooleans !== false;
+            // Allows headless usage, e.g. { DOMParser: require('@xmldom/xmldom').DOMParser }
+            this.DOMParser = options.DOMParser || (typeof DOMParser !== 'undefined' ? DOMParser : null);
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
+            await this.validateFile(file, this.supportedInputs);
             this.log(`Converting ${file.name} from XML to JSON`);
 
             const xmlText = await file.text();
+            this.reportProgress('decode', 1);
+
+            if (!this.DOMParser) {
+                throw new MissingDependencyError('DOMParser is not available. Pass a DOMParser implementation via options.DOMParser.', { file, dependency: 'DOMParser' });
+            }
             
             try {
-                const parser = new DOMParser();
+                const parser = new this.DOMParser();
                 const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
                 
                 // Check for parsing errors
                 const parseError = xmlDoc.getElementsByTagName('parsererror');
                 if (parseError.length > 0) {
-                    throw new Error('Invalid XML: ' + parseError[0].textContent);
+                    throw this.xmlParseError(`Invalid XML: ${parseError[0].textContent}`, file);
                 }
 
                 const jsonData = this.xmlToJson(xmlDoc.documentElement);
                 const jsonString = JSON.stringify(jsonData, null, 2);
+                this.reportProgress('encode', 1);
                 const blob = new Blob([jsonString], { type: this.outputType });
 
                 return {
@@ -850,11 +7811,24 @@
                     rootElement: xmlDoc.documentElement.nodeName
                 };
             } catch (error) {
-                throw new Error(`XML parsing failed: ${error.message}`);
+                if (error instanceof OmniConvertError || isAbortError(error)) throw error;
+                throw this.xmlParseError(`XML parsing failed: ${error.message}`, file, error);
             }
         }
 
-        xmlToJson(xmlNode) {
+        // Browsers report the position as "line 3 at column 7" or "Line Number 3, Column 7"
+        xmlParseError(message, file, cause = undefined) {
+            const position = /line\s*(?:number\s*)?(\d+)\D+?column\s*(\d+)/i.exec(message);
+            return new ParseError(message, {
+                file,
+                cause,
+                format: 'xml',
+                line: position ? Number(position[1]) : null,
+                column: position ? Number(position[2]) : null
+            });
+        }
+
+                xmlToJson(xmlNode) {
             let result = {};
 
             // Handle attributes
@@ -870,7 +7844,7 @@
                 for (let i = 0; i < xmlNode.childNodes.length; i++) {
                     const childNode = xmlNode.childNodes[i];
 
-                    if (childNode.nodeType === Node.TEXT_NODE) {
+                    if (childNode.nodeType === TEXT_NODE || childNode.nodeType === CDATA_SECTION_NODE) {
                         const textContent = childNode.nodeValue.trim();
                         if (textContent) {
                             if (Object.keys(result).length === 0) {
@@ -881,7 +7855,7 @@
                                 result[this.textNodeName] = this.parseValue(textContent);
                             }
                         }
-                    } else if (childNode.nodeType === Node.ELEMENT_NODE) {
+                    } else if (childNode.nodeType === ELEMENT_NODE) {
                         const childName = childNode.nodeName;
                         const childValue = this.xmlToJson(childNode);
 
@@ -925,10 +7899,24 @@
 
     // Markdown to HTML Converter
     class MarkdownToHtmlConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Markdown to HTML',
+                category: 'data',
+                inputs: ['md'],
+                output: 'html',
+                dependencies: [],
+                options: {
+                    enableTables: { type: 'boolean', default: true, description: 'Table support' },
+                    enableCodeBlocks: { type: 'boolean', default: true, description: 'Code blocks' },
+                    enableStrikethrough: { type: 'boolean', default: true, description: 'Strikethrough ~~text~~' },
+                    enableTaskLists: { type: 'boolean', default: true, description: 'Task lists - [ ] and - [x]' }
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['text/markdown', 'text/x-markdown', '.md', '.markdown'];
-            this.outputType = 'text/html';
             this.enableTables = options.enableTables !== false;
             this.enableCodeBlocks = options.enableCodeBlocks !== false;
             this.enableStrikethrough = options.enableStrikethrough !== false;
@@ -936,12 +7924,14 @@
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
+            await this.validateFile(file, this.supportedInputs);
             this.log(`Converting ${file.name} from Markdown to HTML`);
 
             const markdownText = await file.text();
+            this.reportProgress('decode', 1);
             const htmlContent = this.markdownToHtml(markdownText);
             
+            this.reportProgress('encode', 1);
             const blob = new Blob([htmlContent], { type: this.outputType });
 
             return {
@@ -1078,10 +8068,27 @@
 
     // JSON to XML Converter
     class JsonToXmlConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'JSON to XML',
+                category: 'data',
+                inputs: ['json'],
+                output: 'xml',
+                dependencies: [],
+                options: {
+                    rootElementName: { type: 'string', default: 'root', description: 'Root element name' },
+                    attributePrefix: { type: 'string', default: '@', description: 'Attribute prefix in JSON' },
+                    textNodeName: { type: 'string', default: '#text', description: 'Text node name' },
+                    arrayElementName: { type: 'string', default: 'item', description: 'Array element name' },
+                    prettyPrint: { type: 'boolean', default: true, description: 'Formatted output' },
+                    xmlDeclaration: { type: 'boolean', default: true, description: 'Include XML declaration' },
+                    encoding: { type: 'string', default: 'UTF-8', description: 'Declared encoding' }
+                }
+            };
+        }
+
         constructor(options = {}) {
             super(options);
-            this.supportedInputs = ['application/json', '.json'];
-            this.outputType = 'text/xml';
             this.rootElementName = options.rootElementName || 'root';
             this.attributePrefix = options.attributePrefix || '@';
             this.textNodeName = options.textNodeName || '#text';
@@ -1092,19 +8099,15 @@
         }
 
         async convert(file) {
-            this.validateFile(file, this.supportedInputs);
+            await this.validateFile(file, this.supportedInputs);
             this.log(`Converting ${file.name} from JSON to XML`);
 
             const text = await file.text();
-            let jsonData;
-
-            try {
-                jsonData = JSON.parse(text);
-            } catch (error) {
-                throw new Error(`Invalid JSON file: ${error.message}`);
-            }
+            this.reportProgress('decode', 1);
+            const jsonData = parseJSON(text, file);
 
             const xmlContent = this.jsonToXml(jsonData);
+            this.reportProgress('encode', 1);
             const blob = new Blob([xmlContent], { type: this.outputType });
 
             return {
@@ -1271,6 +8274,109 @@
         }
     }
 
+    /**
+     * Data URL to File: decodes a pasted data: URL, given as a string or a text file holding it.
+     * A content signature decides the MIME type; the type declared in the URL is the fallback.
+     */
+    class DataUrlToFileConverter extends BaseConverter {
+        static get metadata() {
+            return {
+                label: 'Data URL to file',
+                category: 'data',
+                inputs: [],
+                inputMimeTypes: ['text/plain'],
+                inputExtensions: ['txt'],
+                output: null,
+                dependencies: [],
+                options: {
+                    filename: { type: 'string', default: null, description: 'Result file name (default: named after the detected type)' }
+                }
+            };
+        }
+
+        async convert(input) {
+            const text = await this.readInput(input);
+            this.log('Decoding data URL');
+
+            const parsed = parseDataUrl(text);
+            if (!parsed) {
+                throw new ParseError('Input is not a valid data URL', { format: 'data-url', file: typeof input === 'string' ? null : input });
+            }
+            this.reportProgress('decode', 1);
+            return this.createFile(parsed.bytes, parsed.mimeType, input);
+        }
+
+        // Pasted text as a string, or the contents of a text file
+        async readInput(input) {
+            this.throwIfAborted();
+            if (typeof input === 'string') return input;
+            if (!input || typeof input.text !== 'function') {
+                throw new UnsupportedInputError('Expected a string or a text file', { file: input || null });
+            }
+            return input.text();
+        }
+
+        // File from decoded bytes; a generic declared type gives way to the detected one
+        async createFile(bytes, declaredType, input) {
+            const detected = await OmniConvertCore.detectFormat(new Blob([bytes], { type: declaredType || '' }));
+            const generic = !declaredType || declaredType === 'application/octet-stream';
+            const mimeType = detected && (detected.method === 'signature' || generic)
+                ? detected.mimeType
+                : (declaredType || 'application/octet-stream');
+
+            const format = normalizeFormat(mimeType);
+            const extension = FORMATS[format] ? FORMATS[format].extensions[0] : (mimeType.startsWith('text/') ? 'txt' : 'bin');
+            const name = typeof input === 'string' ? '' : (input.name || '');
+            const baseName = name.substring(0, name.lastIndexOf('.')) || name || 'pasted';
+            const filename = this.options.filename || `${baseName}.${extension}`;
+
+            const file = OmniConvertCore.blobToFile(new Blob([bytes], { type: mimeType }), filename, mimeType);
+            this.reportProgress('encode', 1);
+
+            return {
+                blob: file,
+                file,
+                filename,
+                mimeType,
+                format: FORMATS[format] ? format : null,
+                originalSize: typeof input === 'string' ? input.length : input.size,
+                newSize: file.size
+            };
+        }
+    }
+
+    // Base64 to File: plain or URL-safe base64, or a whole data URL
+    class Base64ToFileConverter extends DataUrlToFileConverter {
+        static get metadata() {
+            return {
+                label: 'Base64 to file',
+                category: 'data',
+                inputs: [],
+                inputMimeTypes: ['text/plain'],
+                inputExtensions: ['txt', 'b64'],
+                output: null,
+                dependencies: [],
+                options: {
+                    filename: { type: 'string', default: null, description: 'Result file name (default: named after the detected type)' },
+                    mimeType: { type: 'string', default: null, description: 'MIME type to use when the content has no recognizable signature' }
+                }
+            };
+        }
+
+        async convert(input) {
+            const text = await this.readInput(input);
+            this.log('Decoding base64');
+
+            const dataUrl = /^\s*data:/i.test(text) ? parseDataUrl(text) : null;
+            const bytes = dataUrl ? dataUrl.bytes : base64ToBytes(text);
+            if (!bytes || bytes.length === 0) {
+                throw new ParseError('Input is not valid base64', { format: 'base64', file: typeof input === 'string' ? null : input });
+            }
+            this.reportProgress('decode', 1);
+            return this.createFile(bytes, dataUrl ? dataUrl.mimeType : (this.options.mimeType || null), input);
+        }
+    }
+
     /**
      * MAIN OMNICONVERT CLASS
      */
@@ -1281,8 +8387,8 @@
             // Register all available converters
             this.registerAllConverters();
             
-            // Setup UI helpers if in browser environment
-            if (typeof document !== 'undefined') {
+            // Setup page-wide drag and drop only when asked to
+            if (this.options.setupDragDrop && typeof document !== 'undefined') {
                 this.setupDragDrop();
             }
             
@@ -1299,6 +8405,22 @@
             this.registerConverter('heic-to-jpg', HeicToJpgConverter);
             this.registerConverter('svg-to-png', SvgToPngConverter);
             this.registerConverter('jpg-to-pdf', JpgToPdfConverter);
+            this.registerConverter('png-to-ico', PngToIcoConverter);
+            this.registerConverter('svg-to-ico', SvgToIcoConverter);
+            this.registerConverter('png-optimize', PngOptimizeConverter);
+            this.registerConverter('bmp-to-png', BmpToPngConverter);
+            this.registerConverter('tiff-to-png', TiffToPngConverter);
+            this.registerConverter('tiff-to-jpg', TiffToJpgConverter);
+            this.registerConverter('tiff-to-pdf', TiffToPdfConverter);
+            this.registerConverter('image-adjust', ImageAdjustConverter);
+            this.registerConverter('image-to-css', ImageToCssConverter);
+
+            // Animation converters
+            this.registerConverter('mp4-to-gif', Mp4ToGifConverter);
+            this.registerConverter('images-to-gif', ImagesToGifConverter);
+            this.registerConverter('gif-to-frames', GifToFramesConverter);
+            this.registerConverter('gif-to-mp4', GifToMp4Converter);
+            this.registerConverter('gif-to-webm', GifToWebmConverter);
             
             // Data converters
             this.registerConverter('csv-to-json', CsvToJsonConverter);
@@ -1306,6 +8428,8 @@
             this.registerConverter('xml-to-json', XmlToJsonConverter);
             this.registerConverter('json-to-xml', JsonToXmlConverter);
             this.registerConverter('markdown-to-html', MarkdownToHtmlConverter);
+            this.registerConverter('data-url-to-file', DataUrlToFileConverter);
+            this.registerConverter('base64-to-file', Base64ToFileConverter);
         }
 
         // Convenient methods for popular conversions
@@ -1322,19 +8446,21 @@
         }
 
         async jpgToPdf(files, options = {}) {
-            const converter = this.createConverter('jpg-to-pdf', options);
-            return converter.convert(files);
+            return this.convertSingle('jpg-to-pdf', files, options);
         }
 
 
         async csvToJson(file, options = {}) {
-            const converter = this.createConverter('csv-to-json', options);
-            return converter.convert(file);
+            return this.convertSingle('csv-to-json', file, options);
+        }
+
+        // Records of a CSV file as an async iterator, parsed incrementally (see CsvToJsonConverter.streamRecords)
+        csvRecords(file, options = {}) {
+            return this.createConverter('csv-to-json', options).streamRecords(file);
         }
 
         async jsonToCsv(file, options = {}) {
-            const converter = this.createConverter('json-to-csv', options);
-            return converter.convert(file);
+            return this.convertSingle('json-to-csv', file, options);
         }
 
 
@@ -1354,46 +8480,114 @@
             return this.convertFiles('svg-to-png', files, options);
         }
 
+        async optimizePng(files, options = {}) {
+            return this.convertFiles('png-optimize', files, options);
+        }
+
+        async adjustImage(files, adjustments, options = {}) {
+            return this.convertFiles('image-adjust', files, { ...options, adjustments });
+        }
+
+        // CSS rule with the image inlined as a data URL background
+        async imageToCss(files, options = {}) {
+            return this.convertFiles('image-to-css', files, options);
+        }
+
+        async bmpToPng(files, options = {}) {
+            return this.convertFiles('bmp-to-png', files, options);
+        }
+
+        async tiffToPng(files, options = {}) {
+            return this.convertFiles('tiff-to-png', files, options);
+        }
+
+        async tiffToJpg(files, options = {}) {
+            return this.convertFiles('tiff-to-jpg', files, options);
+        }
+
+        async tiffToPdf(files, options = {}) {
+            return this.convertFiles('tiff-to-pdf', files, options);
+        }
+
+        async pngToIco(files, options = {}) {
+            return this.convertFiles('png-to-ico', files, options);
+        }
+
+        async svgToIco(files, options = {}) {
+            return this.convertFiles('svg-to-ico', files, options);
+        }
+
+        // Favicon pack ZIP (favicon.ico, PNG icons, site.webmanifest) from a PNG or SVG
+        async faviconPack(file, options = {}) {
+            const detected = await this.detectFormat(file);
+            const type = detected && detected.format === 'svg' ? 'svg-to-ico' : 'png-to-ico';
+            return this.convertSingle(type, file, { ...options, pack: true });
+        }
+
         async gifToMp4(files, options = {}) {
             return this.convertFiles('gif-to-mp4', files, options);
         }
 
         async xmlToJson(file, options = {}) {
-            const converter = this.createConverter('xml-to-json', options);
-            return converter.convert(file);
+            return this.convertSingle('xml-to-json', file, options);
         }
 
         async markdownToHtml(file, options = {}) {
-            const converter = this.createConverter('markdown-to-html', options);
-            return converter.convert(file);
+            return this.convertSingle('markdown-to-html', file, options);
         }
 
         async mp4ToGif(files, options = {}) {
             return this.convertFiles('mp4-to-gif', files, options);
         }
 
+        async imagesToGif(files, options = {}) {
+            return this.convertSingle('images-to-gif', files, options);
+        }
+
+        async gifToFrames(files, options = {}) {
+            return this.convertFiles('gif-to-frames', files, options);
+        }
+
+        async gifToWebm(files, options = {}) {
+            return this.convertFiles('gif-to-webm', files, options);
+        }
+
         async jsonToXml(file, options = {}) {
-            const converter = this.createConverter('json-to-xml', options);
-            return converter.convert(file);
+            return this.convertSingle('json-to-xml', file, options);
+        }
+
+        // File from a pasted data URL; strings are wrapped so events carry a file name
+        async dataUrlToFile(input, options = {}) {
+            return this.convertSingle('data-url-to-file', this.pastedTextFile(input), options);
+        }
+
+        // File from pasted base64 (or a data URL)
+        async base64ToFile(input, options = {}) {
+            return this.convertSingle('base64-to-file', this.pastedTextFile(input), options);
+        }
+
+        pastedTextFile(input) {
+            return typeof input === 'string'
+                ? OmniConvertCore.blobToFile(new Blob([input], { type: 'text/plain' }), 'pasted.txt', 'text/plain')
+                : input;
         }
 
         // Helper method for single/multiple file conversion
         async convertFiles(converterType, files, options = {}) {
             const fileList = Array.isArray(files) ? files : [files];
-            const converter = this.createConverter(converterType, options);
             
             if (fileList.length === 1) {
-                return converter.convert(fileList[0]);
+                return this.convertSingle(converterType, fileList[0], options);
             } else {
                 return this.convertMultiple(converterType, fileList, options);
             }
         }
 
         // UI Helper: Setup drag and drop for any element
-        setupDragDrop(element = document.body, options = {}) {
+        setupDragDrop(element = null, options = {}) {
             if (typeof document === 'undefined') return;
 
-            const dropZone = element;
+            const dropZone = element || document.body;
             const {
                 onDrop = null,
                 onDragOver = null,
@@ -1455,12 +8649,18 @@
                 throw new Error(`Container with id '${containerId}' not found`);
             }
 
+            const metadata = this.describeConverter(converterType);
+            if (!metadata) {
+                throw new ConverterNotFoundError(`Converter '${converterType}' not found. Available: ${this.getAvailableConverters().join(', ')}`, { converterType });
+            }
+
             const {
-                title = `${converterType} Converter`,
-                acceptedTypes = [],
+                title = `${metadata.label} Converter`,
+                acceptedTypes = metadata.supportedInputs,
                 multiple = true,
                 showProgress = true,
-                showPreview = false
+                showPreview = false,
+                showOptions = false
             } = options;
 
             // Create UI elements
@@ -1480,7 +8680,9 @@
                         <input type="file" style="display: none;" ${multiple ? 'multiple' : ''} 
                                accept="${acceptedTypes.join(',')}" />
                     </div>
+                    ${showOptions ? this.renderOptionControls(metadata.options) : ''}
                     ${showProgress ? '<div class="progress" style="display: none;"><div class="progress-bar"></div></div>' : ''}
+                    <button type="button" class="cancel-button" style="display: none;">Cancel</button>
                     <div class="result" style="margin-top: 20px;"></div>
                     ${showPreview ? '<div class="preview" style="margin-top: 20px;"></div>' : ''}
                 </div>
@@ -1491,6 +8693,8 @@
             const progressBar = container.querySelector('.progress');
             const progressFill = container.querySelector('.progress-bar');
             const result = container.querySelector('.result');
+            const cancelButton = container.querySelector('.cancel-button');
+            const getConversionOptions = () => showOptions ? this.readOptionControls(container, metadata.options) : {};
 
             // Setup click to select files
             uploadZone.addEventListener('click', () => fileInput.click());
@@ -1501,6 +8705,8 @@
                     progressBar,
                     progressFill,
                     result,
+                    cancelButton,
+                    getConversionOptions,
                     ...options
                 });
             });
@@ -1513,6 +8719,8 @@
                         progressBar,
                         progressFill,
                         result,
+                        cancelButton,
+                        getConversionOptions,
                         ...options
                     });
                 }
@@ -1521,32 +8729,116 @@
             return container;
         }
 
+        // UI Helper: form controls generated from a converter's options schema
+        renderOptionControls(schema) {
+            const controls = Object.entries(schema).map(([name, rule]) => {
+                const label = escapeHtml(rule.description || name);
+                const value = rule.default === null || rule.default === undefined ? '' : escapeHtml(String(rule.default));
+                const attrs = `data-option="${escapeHtml(name)}" name="${escapeHtml(name)}"`;
+
+                if (rule.enum) {
+                    const choices = rule.enum.map(choice =>
+                        `<option value="${escapeHtml(String(choice))}" ${choice === rule.default ? 'selected' : ''}>${escapeHtml(String(choice))}</option>`
+                    ).join('');
+                    return `<label>${label} <select ${attrs}>${choices}</select></label>`;
+                }
+
+                switch (rule.type) {
+                    case 'boolean':
+                        return `<label><input type="checkbox" ${attrs} ${rule.default ? 'checked' : ''} /> ${label}</label>`;
+                    case 'number': {
+                        const min = rule.min !== undefined ? `min="${rule.min}"` : '';
+                        const max = rule.max !== undefined ? `max="${rule.max}"` : '';
+                        const step = rule.step || (rule.max !== undefined && rule.max <= 1 ? 0.05 : 'any');
+                        return `<label>${label} <input type="number" ${attrs} ${min} ${max} step="${step}" value="${value}" /></label>`;
+                    }
+                    case 'string':
+                    case 'color':
+                        return `<label>${label} <input type="text" ${attrs} value="${value}" /></label>`;
+                    default:
+                        // Functions, arrays and objects can only be passed from code
+                        return '';
+                }
+            }).filter(Boolean);
+
+            if (controls.length === 0) return '';
+            return `<fieldset class="options" style="display: grid; gap: 8px; border: 1px solid #eee; border-radius: 8px; padding: 12px;">
+                        <legend>Options</legend>
+                        ${controls.join('')}
+                    </fieldset>`;
+        }
+
+        // UI Helper: read values back from controls created by renderOptionControls
+        readOptionControls(container, schema) {
+            const values = {};
+
+            container.querySelectorAll('[data-option]').forEach(control => {
+                const name = control.getAttribute('data-option');
+                const rule = schema[name];
+                if (!rule) return;
+
+                if (rule.type === 'boolean') {
+                    values[name] = control.checked;
+                } else if (control.value !== '') {
+                    values[name] = rule.type === 'number' ? parseFloat(control.value) : control.value;
+                }
+            });
+
+            return values;
+        }
+
         async handleFiles(files, converterType, uiElements) {
-            const { progressBar, progressFill, result } = uiElements;
+            const { progressBar, progressFill, result, cancelButton, getConversionOptions } = uiElements;
             
             if (files.length === 0) {
                 this.showResult(result, 'No valid files selected', 'error');
                 return;
             }
 
+            // Let the user stop the batch
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const cancel = () => controller.abort();
+            if (cancelButton && controller) {
+                cancelButton.style.display = 'inline-block';
+                cancelButton.addEventListener('click', cancel);
+            }
+
+            // Track per-file progress through events instead of replacing progressCallback
+            const fileProgress = new Array(files.length).fill(0);
+            const updateProgress = ({ index, progress }) => {
+                fileProgress[index] = progress;
+                if (progressFill) {
+                    const overall = fileProgress.reduce((sum, value) => sum + value, 0) / files.length;
+                    progressFill.style.width = (overall * 100) + '%';
+                }
+            };
+            const finishFile = ({ index }) => updateProgress({ index, progress: 1 });
+
             try {
                 // Show progress
                 if (progressBar) {
                     progressBar.style.display = 'block';
-                    this.options.progressCallback = (percentage) => {
-                        if (progressFill) {
-                            progressFill.style.width = percentage + '%';
-                        }
-                    };
+                    this.on('file:progress', updateProgress);
+                    this.on('file:done', finishFile);
+                    this.on('file:error', finishFile);
                 }
 
                 // Convert files
-                const results = await this.convertFiles(converterType, files, this.options);
+                const results = await this.convertFiles(converterType, files, {
+                    ...this.options,
+                    ...(getConversionOptions ? getConversionOptions() : {}),
+                    signal: controller ? controller.signal : null
+                });
                 
                 // Handle results
                 if (Array.isArray(results)) {
                     const successful = results.filter(r => r.success).length;
-                    this.showResult(result, `Converted ${successful}/${results.length} files successfully`, 'success');
+                    const cancelled = results.filter(r => r.cancelled).length;
+                    if (cancelled > 0) {
+                        this.showResult(result, `Converted ${successful}/${results.length} files, ${cancelled} cancelled`, 'info');
+                    } else {
+                        this.showResult(result, `Converted ${successful}/${results.length} files successfully`, 'success');
+                    }
                 } else {
                     this.showResult(result, 'Conversion completed successfully!', 'success');
                     
@@ -1556,8 +8848,19 @@
                 }
 
             } catch (error) {
-                this.showResult(result, `Error: ${error.message}`, 'error');
+                if (isAbortError(error)) {
+                    this.showResult(result, 'Conversion cancelled', 'info');
+                } else {
+                    this.showResult(result, `Error: ${error.message}`, 'error');
+                }
             } finally {
+                this.off('file:progress', updateProgress);
+                this.off('file:done', finishFile);
+                this.off('file:error', finishFile);
+                if (cancelButton && controller) {
+                    cancelButton.removeEventListener('click', cancel);
+                    cancelButton.style.display = 'none';
+                }
                 if (progressBar) {
                     setTimeout(() => {
                         progressBar.style.display = 'none';
@@ -1593,47 +8896,71 @@
 
         // Get supported formats
         static getSupportedFormats() {
-            return {
-                image: {
-                    input: ['jpg', 'jpeg', 'png', 'webp', 'heic', 'heif', 'svg', 'gif'],
-                    output: ['jpg', 'jpeg', 'png', 'webp', 'pdf', 'mp4']
-                },
-                data: {
-                    input: ['csv', 'json', 'xml', 'md', 'markdown'],
-                    output: ['csv', 'json', 'html']
-                }
-            };
+            // Built-in converters only; the instance method includes custom registrations
+            return new OmniConvert().getSupportedFormats();
         }
     }
 
-    // BROWSER EXPORT
-    if (typeof window !== 'undefined') {
+    // MODULE EXPORTS
+    return {
         // Main class
-        window.OmniConvert = OmniConvert;
-        
-        // Base classes (if needed for extension)  
-        window.OmniConvertCore = OmniConvertCore;
-        window.BaseConverter = BaseConverter;
-        
+        OmniConvert,
+
+        // Base classes (if needed for extension)
+        OmniConvertCore,
+        BaseConverter,
+
+        // Errors
+        OmniConvertError,
+        UnsupportedInputError,
+        DecodeError,
+        MissingDependencyError,
+        EncoderUnsupportedError,
+        ParseError,
+        LimitExceededError,
+        ConverterNotFoundError,
+        InvalidOptionError,
+
+        // Utilities
+        ZipWriter,
+        GifEncoder,
+        GifDecoder,
+        BmpDecoder,
+        TiffDecoder,
+        encodePng,
+        PdfWriter,
+        CsvParser,
+
         // Individual converters (if needed for direct usage)
-        window.JpgToPngConverter = JpgToPngConverter;
-        window.PngToJpgConverter = PngToJpgConverter;
-        window.WebpToJpgConverter = WebpToJpgConverter;
-        window.PngToWebpConverter = PngToWebpConverter;
-        window.JpgToWebpConverter = JpgToWebpConverter;
-        window.HeicToJpgConverter = HeicToJpgConverter;
-        window.SvgToPngConverter = SvgToPngConverter;
-        window.JpgToPdfConverter = JpgToPdfConverter;
-        window.CsvToJsonConverter = CsvToJsonConverter;
-        window.JsonToCsvConverter = JsonToCsvConverter;
-        window.XmlToJsonConverter = XmlToJsonConverter;
-        window.JsonToXmlConverter = JsonToXmlConverter;
-        window.MarkdownToHtmlConverter = MarkdownToHtmlConverter;
-        
-        // Create global instance for quick usage
-        window.omniConvert = new OmniConvert();
-        
-        console.log('🔄 OmniConvert library loaded successfully!');
-    }
-
-})();
+        JpgToPngConverter,
+        PngToJpgConverter,
+        WebpToJpgConverter,
+        PngToWebpConverter,
+        JpgToWebpConverter,
+        HeicToJpgConverter,
+        SvgToPngConverter,
+        JpgToPdfConverter,
+        PngToIcoConverter,
+        SvgToIcoConverter,
+        PngOptimizeConverter,
+        ImageAdjustConverter,
+        ImageToCssConverter,
+        BmpToPngConverter,
+        TiffToPngConverter,
+        TiffToJpgConverter,
+        TiffToPdfConverter,
+        Mp4ToGifConverter,
+        ImagesToGifConverter,
+        GifToFramesConverter,
+        GifToMp4Converter,
+        GifToWebmConverter,
+        CsvToJsonConverter,
+        JsonToCsvConverter,
+        XmlToJsonConverter,
+        JsonToXmlConverter,
+        MarkdownToHtmlConverter,
+        DataUrlToFileConverter,
+        Base64ToFileConverter
+    };
+
+});